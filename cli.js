@@ -2,642 +2,2240 @@
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const { execSync } = require('child_process');
-const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
 const inquirer = require('inquirer'); // <-- Add inquirer
-
-// TODO:
-// add cli arg
-// define ignore extensions/patterns
-// detect patters
-// make file or find it
-// insert entries into the gitignore
+const { analyzeBranches, deleteBranches, archiveBranches, listArchivedBranches, unarchiveBranches, loadConfig, readJournal, groupJournalBySession, restoreJournalEntry, removeWorktrees, pruneWorktrees, analyzeTags, deleteTags, findRepositories, analyzeGitignore, writeGitignoreSections, untrackFiles, installHooks, uninstallHooks, getHookStatus, readHookState, listStashes, dropStashes, expireReflogs, collectGarbage, getGitDirSize, buildBranchReport, compareBranchReports, readBranchReport, renderBranchReport, ARCHIVE_MODES, GC_MODES, HOOK_CONDITIONS, HOSTING_PROVIDERS, MERGE_STRATEGY_LABELS, REPORT_FORMATS, STALE_DATE_SOURCES, STACK_TEMPLATES, TAG_CATEGORY_LABELS } = require('./index');
+const { runGit, listRemotes, getCurrentBranch } = require('./lib/git');
+const { describeSafety } = require('./lib/safety');
+const { getProtectionReason } = require('./lib/filters');
+const { getErrorDetail } = require('./lib/delete');
+const { detectDefaultBranch, resolveBases } = require('./lib/base');
+const { DEFAULT_HOOKS, DEFAULT_HOOK_INTERVAL, claimHookRun, recordHookRun } = require('./lib/hooks');
 
 // --- Argument Parsing ---
+// Options choosing and classifying the analysed branches, shared by the branch cleanup and the report
+const analysisOptions = (analysisYargs) => analysisYargs
+    .option('base', {
+      alias: 'b',
+      type: 'array',
+      string: true,
+      description: 'Base branch for comparison (local and remote). Repeatable and accepts glob patterns (e.g. -b main -b \'release/*\'); a branch merged into any of them is merged',
+      defaultDescription: 'detected from <remote>/HEAD or init.defaultBranch, or "base" from .cleanreporc'
+    })
+    .option('remote', {
+      alias: 'r',
+      type: 'boolean',
+      description: 'Enable cleanup of remote branches (on origin unless --remote-name/--all-remotes is given)',
+      default: false
+    })
+    .option('remote-name', {
+      alias: 'R',
+      type: 'array',
+      string: true,
+      description: 'Remote to clean up (repeatable, e.g. -R upstream -R origin). Implies --remote.',
+    })
+    .option('all-remotes', {
+      type: 'boolean',
+      description: 'Clean up every configured remote. Implies --remote.',
+    })
+    .option('stale', { // Renamed from 'days'
+      alias: 's',
+      description: 'Flag branches with no commits in the specified number of days as stale for potential deletion. Use -s without a number to use the default.',
+    })
+    .option('stale-before', {
+      type: 'string',
+      description: 'Flag branches with no activity since this date (e.g. 2026-01-01) as stale, instead of a number of days',
+    })
+    .option('stale-by', {
+      type: 'string',
+      choices: Object.keys(STALE_DATE_SOURCES),
+      description: 'Date judged for staleness: last commit\'s committer or author date, or last checkout/commit in the reflogs (local branches)',
+      defaultDescription: 'committer, or "staleBy" from .cleanreporc'
+    })
+    .option('gone', {
+      type: 'boolean',
+      description: 'Offer local branches whose upstream branch no longer exists on the remote (disable with --no-gone)',
+      default: true
+    })
+    .option('protect', {
+      alias: 'p',
+      type: 'array',
+      string: true,
+      description: 'Glob pattern of branches that must never be deleted (repeatable, added to "protect" from .cleanreporc)',
+    })
+    .option('include', {
+      alias: 'i',
+      type: 'array',
+      string: true,
+      description: 'Only consider branches matching these glob patterns (repeatable, replaces "include" from .cleanreporc)',
+    })
+    .option('mine', {
+      type: 'boolean',
+      description: 'Only consider branches whose unique commits were all written by you (git config user.email)',
+      default: false
+    })
+    .option('author', {
+      type: 'array',
+      string: true,
+      description: 'Only consider branches whose unique commits were all written by authors matching this pattern (repeatable; case-insensitive substring of "Name <email>")',
+    })
+    .option('exclude-author', {
+      type: 'array',
+      string: true,
+      description: 'Skip branches with unique commits by authors matching this pattern (repeatable)',
+    })
+    .option('pull-requests', {
+      type: 'boolean',
+      description: 'Look up pull/merge requests on the code host: a merged pull request marks its branch merged, one closed without merging offers it as "closed", and branches with an open pull request are never deleted. The API token is read from GITHUB_TOKEN, GITLAB_TOKEN or GITEA_TOKEN',
+      defaultDescription: 'on when "hosting" is set in .cleanreporc'
+    })
+    .option('provider', {
+      type: 'string',
+      choices: Object.keys(HOSTING_PROVIDERS),
+      description: 'Code host queried for pull requests. Implies --pull-requests',
+      defaultDescription: 'detected from the remote URL, or "hosting.provider" from .cleanreporc'
+    })
+    .option('provider-url', {
+      type: 'string',
+      description: 'API base URL of the code host (e.g. https://git.example.com/api/v1). Implies --pull-requests',
+    })
+    .conflicts('remote-name', 'all-remotes')
+    .conflicts('stale', 'stale-before');
+
+// Options of the branch cleanup, which is also the default command so `cleanrepo -r -s` keeps working
+const branchesOptions = (branchesYargs) => analysisOptions(branchesYargs)
+    .option('force-unique', {
+      type: 'boolean',
+      description: 'With --yes, also delete stale or upstream-gone local branches holding commits that exist on no remote',
+      default: false
+    })
+    .option('archive', {
+      type: 'string',
+      description: 'Archive branches before deleting them: "ref" keeps them under refs/archive/<date>/<branch>, "tag" as archive/<branch> tags (pushed for remote branches). See the unarchive command',
+      defaultDescription: 'off; "ref" when given without a mode'
+    })
+    .option('worktrees', {
+      alias: 'w',
+      type: 'boolean',
+      description: 'Offer to remove clean linked worktrees whose branch is merged or stale, and prune worktrees whose directory is gone',
+      default: false
+    })
+    .option('gitignore', {    // Kept for backward compatibility; same as running `cleanrepo gitignore` afterwards
+      alias: 'g',
+      type: 'boolean',
+      description: 'After the branch cleanup, suggest and add common ignore patterns to .gitignore (see the gitignore command)',
+      default: false
+    })
+    .option('workspace', {
+      type: 'string',
+      description: 'Clean up every git repository found under this directory (e.g. ~/src) instead of the current one',
+    })
+    .option('depth', {
+      type: 'number',
+      description: 'With --workspace, how many directory levels below the workspace to search for repositories',
+      default: 3
+    })
+    .option('exclude', {
+      type: 'array',
+      string: true,
+      description: 'With --workspace, glob pattern of directories to skip (repeatable, matched against the relative path and the name)',
+    })
+    .check((branchesArgv) => {
+      // The default command would otherwise swallow misspelled commands as positional arguments
+      const extra = branchesArgv._.filter(arg => arg !== 'branches');
+      if (extra.length > 0) throw new Error(`Unknown command or argument: ${extra.join(' ')}`);
+      if (branchesArgv.workspace !== undefined && (branchesArgv.worktrees || branchesArgv.gitignore)) {
+        throw new Error('--worktrees and --gitignore cannot be combined with --workspace');
+      }
+      if (!Number.isInteger(branchesArgv.depth) || branchesArgv.depth < 1) throw new Error(`Invalid --depth: '${branchesArgv.depth}' (expected a positive whole number)`);
+      if (branchesArgv.archive && !ARCHIVE_MODES[branchesArgv.archive]) {
+        throw new Error(`Invalid --archive: '${branchesArgv.archive}' (expected one of: ${Object.keys(ARCHIVE_MODES).join(', ')})`);
+      }
+      return true;
+    })
+    .usage('Usage: $0 [branches] [-b <branch>] [-r] [-R <remote>...] [--all-remotes] [-s <days> | --stale-before <date>] [--stale-by <source>] [-p <pattern>...] [-i <pattern>...] [--mine] [--author <pattern>...] [--exclude-author <pattern>...] [--pull-requests [--provider <name>] [--provider-url <url>]] [--archive [ref|tag]] [-w] [--workspace <dir> [--depth <n>] [--exclude <pattern>...]] [-y] [--json] [-D] [-g]');
+
 const argv = yargs(hideBin(process.argv))
-  .option('base', {
-    alias: 'b',
-    type: 'string',
-    description: 'Base branch for comparison (local and remote)',
-    default: 'main'
-  })
-  .option('remote', {
-    alias: 'r',
+  .command(['branches', '$0'], 'Interactively clean up merged and stale branches (default)', branchesOptions)
+  .command('tags', 'Interactively clean up local-only, orphaned and stale tags', (tagsYargs) => tagsYargs
+    .option('remote', {
+      alias: 'r',
+      type: 'boolean',
+      description: 'Also delete orphaned and stale tags from the remote (origin unless --remote-name/--all-remotes is given)',
+      default: false
+    })
+    .option('remote-name', {
+      alias: 'R',
+      type: 'array',
+      string: true,
+      description: 'Remote to compare local tags with and, with --remote, clean up (repeatable). Implies --remote.',
+    })
+    .option('all-remotes', {
+      type: 'boolean',
+      description: 'Compare with and clean up every configured remote. Implies --remote.',
+    })
+    .option('local-only', {
+      type: 'boolean',
+      description: 'Offer local tags that exist on none of the remotes (disable with --no-local-only)',
+      default: true
+    })
+    .option('orphaned', {
+      type: 'boolean',
+      description: 'Offer tags whose commit is not reachable from any local or remote-tracking branch (disable with --no-orphaned)',
+      default: true
+    })
+    .option('stale', {
+      alias: 's',
+      description: 'Offer tags created at least this many days ago. Use -s without a number to use the default.',
+    })
+    .option('stale-before', {
+      type: 'string',
+      description: 'Offer tags created before this date (e.g. 2026-01-01), instead of a number of days',
+    })
+    .option('protect', {
+      alias: 'p',
+      type: 'array',
+      string: true,
+      description: 'Glob pattern of tags that must never be deleted (repeatable, added to "protectTags" from .cleanreporc)',
+    })
+    .option('include', {
+      alias: 'i',
+      type: 'array',
+      string: true,
+      description: 'Only consider tags matching these glob patterns (repeatable, e.g. -i \'v*-rc*\' -i \'nightly-*\')',
+    })
+    .conflicts('remote-name', 'all-remotes')
+    .conflicts('stale', 'stale-before')
+    .usage('Usage: $0 tags [-r] [-R <remote>...] [--all-remotes] [--no-local-only] [--no-orphaned] [-s <days> | --stale-before <date>] [-p <pattern>...] [-i <pattern>...] [-y] [--json] [-D]'))
+  .command('report', 'Write a Markdown or HTML branch health report instead of deleting anything', (reportYargs) => analysisOptions(reportYargs)
+    .option('format', {
+      alias: 'f',
+      type: 'string',
+      choices: Object.keys(REPORT_FORMATS),
+      description: 'Report format',
+      defaultDescription: 'html for an --output file ending in .html/.htm, otherwise markdown'
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'File to write the report to',
+      defaultDescription: 'stdout'
+    })
+    .option('compare', {
+      type: 'string',
+      description: 'Previous report (Markdown, HTML or --json output) to show the changes since',
+    })
+    .option('diverged', {
+      type: 'number',
+      description: 'List branches at least this many commits behind their base as diverged',
+      default: 50
+    })
+    .option('top', {
+      type: 'number',
+      description: 'How many of the oldest branches to list',
+      default: 10
+    })
+    .check((reportArgv) => {
+      ['diverged', 'top'].forEach(key => {
+        if (!Number.isInteger(reportArgv[key]) || reportArgv[key] < 1) throw new Error(`Invalid --${key}: '${reportArgv[key]}' (expected a positive whole number)`);
+      });
+      return true;
+    })
+    .usage('Usage: $0 report [-f markdown|html] [-o <file>] [--compare <file>] [--diverged <commits>] [--top <n>] [-b <branch>] [-r] [-R <remote>...] [--all-remotes] [-s <days> | --stale-before <date>] [--stale-by <source>] [-p <pattern>...] [-i <pattern>...] [--mine] [--author <pattern>...] [--exclude-author <pattern>...] [--pull-requests [--provider <name>] [--provider-url <url>]] [--json]'))
+  .command('housekeeping', 'Drop old stashes, expire reflogs and garbage collect the repository', (housekeepingYargs) => housekeepingYargs
+    .option('stale', {
+      alias: 's',
+      description: 'Offer stashes created at least this many days ago. Use -s without a number to use the default.',
+      defaultDescription: '120, or "staleDays" from .cleanreporc'
+    })
+    .option('stale-before', {
+      type: 'string',
+      description: 'Offer stashes created before this date (e.g. 2026-01-01), instead of a number of days',
+    })
+    .option('expire-reflog', {
+      description: 'Expire reflog entries older than this many days (all refs except the stash). Use without a number for 90 days.',
+    })
+    .option('gc', {
+      type: 'string',
+      description: 'Compact the object store afterwards: "gc" runs git gc, "maintenance" the repository\'s git maintenance tasks',
+      defaultDescription: 'off; "gc" when given without a mode'
+    })
+    .conflicts('stale', 'stale-before')
+    .check((housekeepingArgv) => {
+      const expireReflog = housekeepingArgv['expire-reflog'];
+      if (expireReflog !== undefined && expireReflog !== true && expireReflog !== '' && !/^\d+$/.test(String(expireReflog))) {
+        throw new Error(`Invalid --expire-reflog: '${expireReflog}' (expected a whole number of days)`);
+      }
+      if (housekeepingArgv.gc && !GC_MODES[housekeepingArgv.gc]) {
+        throw new Error(`Invalid --gc: '${housekeepingArgv.gc}' (expected one of: ${Object.keys(GC_MODES).join(', ')})`);
+      }
+      return true;
+    })
+    .usage('Usage: $0 housekeeping [-s <days> | --stale-before <date>] [--expire-reflog [<days>]] [--gc [gc|maintenance]] [-y] [--json] [-D]'))
+  .command('hooks <action> [hook..]', 'Install git hooks that delete merged local branches after the base branch is pulled or checked out', (hooksYargs) => hooksYargs
+    .positional('action', {
+      type: 'string',
+      choices: ['install', 'uninstall', 'status', 'run'],
+      description: 'install or uninstall the hooks, show their status, or run the cleanup as an installed hook does',
+    })
+    .positional('hook', {
+      type: 'string',
+      choices: Object.keys(HOOK_CONDITIONS),
+      description: 'Hooks to install or uninstall (install: post-merge and post-checkout; uninstall: all), or the hook that runs the cleanup',
+    })
+    .option('interval', {
+      type: 'number',
+      description: 'Hours that must pass between two cleanups started by hooks (0 runs it every time)',
+      default: DEFAULT_HOOK_INTERVAL
+    })
+    .check((hooksArgv) => {
+      if (!(hooksArgv.interval >= 0)) throw new Error(`Invalid --interval: '${hooksArgv.interval}' (expected a number of hours >= 0)`);
+      if (hooksArgv.action === 'run' && (hooksArgv.hook || []).length !== 1) throw new Error('hooks run needs the name of the hook that runs it');
+      return true;
+    })
+    .usage('Usage: $0 hooks install [hook...] [--interval <hours>] [-D]\n       $0 hooks uninstall [hook...] [-D]\n       $0 hooks status'))
+  .command('gitignore', 'Suggest and add common ignore patterns to .gitignore', (gitignoreYargs) => gitignoreYargs
+    .usage('Usage: $0 gitignore [-D] [--json]'))
+  .command('restore', 'Recreate branches and tags deleted by previous cleanup sessions', (restoreYargs) => restoreYargs
+    .option('session', {
+      type: 'string',
+      description: 'Session to restore from (as shown by --list); prompts when omitted',
+    })
+    .option('list', {
+      alias: 'l',
+      type: 'boolean',
+      description: 'List recorded cleanup sessions and exit',
+      default: false
+    })
+    .option('push', {
+      type: 'boolean',
+      description: 'Also re-push restored remote branches to the remote they were deleted from',
+      default: false
+    }))
+  .command('unarchive', 'List archived branches and recreate them from their archive', (unarchiveYargs) => unarchiveYargs
+    .option('list', {
+      alias: 'l',
+      type: 'boolean',
+      description: 'List archived branches and exit',
+      default: false
+    })
+    .option('include', {
+      alias: 'i',
+      type: 'array',
+      string: true,
+      description: 'Only offer archived branches matching these glob patterns (repeatable)',
+    })
+    .option('push', {
+      type: 'boolean',
+      description: 'Also recreate the branches on the remote and remove their archive there',
+      default: false
+    })
+    .option('remote-name', {
+      alias: 'R',
+      type: 'array',
+      string: true,
+      description: 'Remote used with --push',
+      defaultDescription: 'origin, or the first "remote" from .cleanreporc'
+    })
+    .check((unarchiveArgv) => {
+      if ((unarchiveArgv['remote-name'] || []).length > 1) throw new Error('--remote-name can only be given once for unarchive');
+      return true;
+    })
+    .usage('Usage: $0 unarchive [-l] [-i <pattern>...] [--push [-R <remote>]] [-y] [-D]'))
+  .option('dry-run', { // Add dry-run flag
+    alias: 'D',
     type: 'boolean',
-    description: 'Enable cleanup of remote branches on origin',
+    description: 'Show which branches would be deleted (or files changed) without actually changing anything.',
     default: false
   })
-  .option('stale', { // Renamed from 'days'
-    alias: 's',
-    description: 'Flag branches with no commits in the specified number of days as stale for potential deletion. Use -s without a number to use the default.',
-  })
-  .option('dry-run', { // Add dry-run flag
-    alias: 'D',
+  .option('yes', {
+    alias: ['y', 'non-interactive'],
     type: 'boolean',
-    description: 'Show which branches would be deleted without actually deleting them.',
+    description: 'Do not prompt: delete every candidate that passes the filters, or apply every suggested change (for CI and scripts)',
     default: false
   })
-  .option('gitignore', {    // NEW: gitignore doctor flag
-    alias: 'g',
+  .option('json', {
     type: 'boolean',
-    description: 'Suggest and add common ignore patterns to .gitignore',
+    description: 'Print a machine-readable JSON report on stdout (logs go to stderr)',
     default: false
   })
-  .usage('Usage: $0 [-b <branch>] [-r] [-s <days>] [-D] ] [-g]')
+  .epilogue('Exit codes with --yes or --json: 0 = all candidates deleted (or listed in a dry run), 1 = error, 2 = some deletions failed, 3 = nothing to do.')
   .help()
   .alias('help', 'h')
   .argv;
 
-const baseBranch = argv.base;
-const deleteRemote = argv.remote;
-let actualStaleDays = argv.stale !== undefined ? parseInt(argv.stale, 10) : 120; // Parse and apply default manually
+const nonInteractive = argv.yes;
+const jsonOutput = argv.json;
+// A branch health report written to stdout goes there alone as well
+const reportToStdout = argv._[0] === 'report' && !argv.output && !jsonOutput;
+if (jsonOutput || reportToStdout) {
+    // stdout is reserved for the JSON report, so all human-readable output goes to stderr
+    console.log = console.error;
+}
+// Hooks fire on every pull and checkout, so a cleanup started by one only reports what it deleted (on stderr)
+const hookRun = argv._[0] === 'hooks' && argv.action === 'run';
+if (hookRun) {
+    console.log = () => {};
+}
+// Prompts must not end up in the JSON report either
+const prompt = jsonOutput ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+
+// Exit codes used with --yes/--json so scripts can tell outcomes apart
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    PARTIAL_FAILURE: 2,
+    NOTHING_TO_DO: 3,
+};
+
+// --- Config File ---
+const cwd = process.cwd();
+let config;
+try {
+    config = loadConfig(cwd);
+} catch (error) {
+    console.error(`Error loading configuration: ${error.message}`);
+    if (jsonOutput) process.stdout.write(JSON.stringify({ error: error.message }, null, 2) + '\n');
+    process.exit(EXIT_CODES.ERROR);
+}
+config.sources.forEach(source => console.log(`Loaded configuration from ${source}`));
+
+const deleteRemote = argv.remote || argv['all-remotes'] || (argv['remote-name'] || []).length > 0;
+const defaultStaleDays = config.staleDays !== undefined ? config.staleDays : 120;
+// `-s` without a number means "use the default"
+let actualStaleDays = (argv.stale !== undefined && argv.stale !== true && argv.stale !== '') ? parseInt(argv.stale, 10) : defaultStaleDays; // Parse and apply default manually
 if (isNaN(actualStaleDays)) {
-    console.warn(`WARN: Invalid value provided for --stale: '${argv.stale}'. Using default 120 days.`);
-    actualStaleDays = 120;
+    console.warn(`WARN: Invalid value provided for --stale: '${argv.stale}'. Using default ${defaultStaleDays} days.`);
+    actualStaleDays = defaultStaleDays;
 }
+// The stale check runs with either a number of days (-s) or an absolute cutoff date (--stale-before)
+const staleBefore = argv['stale-before'];
+if (staleBefore !== undefined && isNaN(new Date(staleBefore).getTime())) {
+    console.error(`Error: Invalid date provided for --stale-before: '${staleBefore}'.`);
+    if (jsonOutput) process.stdout.write(JSON.stringify({ error: `Invalid --stale-before date '${staleBefore}'` }, null, 2) + '\n');
+    process.exit(EXIT_CODES.ERROR);
+}
+const staleEnabled = argv.stale !== undefined || staleBefore !== undefined;
+const staleBy = argv['stale-by'] || config.staleBy || 'committer';
+const staleCutoff = staleBefore !== undefined ? `before ${staleBefore}` : `>= ${actualStaleDays} days`; // For headings and reasons
+const staleInactivity = staleBefore !== undefined ? `since before ${staleBefore}` : `for >= ${actualStaleDays} days`; // For log lines
 const dryRun = argv['dry-run']; // Get dry-run value
-const remoteName = 'origin'; // Hardcoding origin for now
 
-console.log(`Using base branch: ${baseBranch}`);
-if (deleteRemote) {
-  console.log(`Remote cleanup enabled for '${remoteName}'.`);
+// Protect patterns from the config and CLI accumulate; CLI include patterns replace the configured ones
+const protectPatterns = [...config.protect, ...(argv.protect || []).map(String)];
+const includePatterns = (argv.include || []).length > 0 ? argv.include.map(String) : config.include;
+
+// Author filters; --mine matches your exact email address
+const authorPatterns = (argv.author || []).map(String);
+const excludeAuthorPatterns = (argv['exclude-author'] || []).map(String);
+if (argv.mine) {
+    const userEmail = runGit(['config', 'user.email'], { cwd, ignoreError: true });
+    if (!userEmail) {
+        console.error('Error: --mine needs user.email to be set in your git configuration.');
+        if (jsonOutput) process.stdout.write(JSON.stringify({ error: '--mine needs user.email to be set' }, null, 2) + '\n');
+        process.exit(EXIT_CODES.ERROR);
+    }
+    authorPatterns.push(`<${userEmail}>`);
 }
-if (argv.stale !== undefined) { // Check if the -s flag was passed by the user
-    console.log(`Stale branch cleanup enabled: Branches inactive for >= ${actualStaleDays} days will be considered.`);
-} else {
-    // If -s was not passed, the default 120 is implicitly active, but we might not need to log it explicitly.
-    // console.log(`Stale branch cleanup enabled: Using default >= 120 days threshold.`); 
+
+// Resolve which remotes to operate on
+let remoteNames = config.remote || ['origin'];
+if (argv['all-remotes']) {
+    remoteNames = listRemotes(cwd);
+} else if ((argv['remote-name'] || []).length > 0) {
+    remoteNames = [...new Set(argv['remote-name'].map(String))];
+}
+
+// Base branch names or patterns. Without --base or a configured base, the remote's default branch is used
+const basePatterns = (argv.base || []).length > 0 ? [...new Set(argv.base.map(String))] : (config.base || null);
+const detectedBase = basePatterns ? null : detectDefaultBranch(cwd, deleteRemote ? remoteNames : null);
+const baseBranches = basePatterns || [detectedBase.branch];
+const baseBranch = baseBranches[0]; // Named in messages where a single base is expected
+
+// `branches` is the default command, so argv._ is empty for plain `cleanrepo [options]`
+const command = ['tags', 'restore', 'unarchive', 'gitignore', 'report', 'housekeeping', 'hooks'].includes(argv._[0]) ? argv._[0] : 'branches';
+// With --archive, branches are kept under an archive ref (see lib/archive.js) before they are deleted
+const archiveMode = command === 'branches' && argv.archive !== undefined ? (argv.archive || 'ref') : null;
+
+if (command === 'branches') {
+    if (argv.workspace) {
+        // Every repository of a workspace reads its own configuration, so only flags apply to all of them
+        console.log(`Workspace mode: cleaning up the repositories under '${path.resolve(argv.workspace)}'.`);
+        console.log(`Using base branch: ${(argv.base || []).length > 0 ? baseBranches.join(', ') : 'each repository\'s configured or detected default branch'}`);
+    } else if (detectedBase) {
+        console.log(`Using base branch: ${baseBranch} (${detectedBase.source === 'fallback' ? 'default' : `detected from ${detectedBase.source}`})`);
+    } else {
+        console.log(`Using base branch${baseBranches.length > 1 ? 'es' : ''}: ${baseBranches.join(', ')}`);
+    }
+    if (deleteRemote) {
+        const remoteList = argv.workspace && argv['all-remotes'] ? 'every configured remote' : remoteNames.map(r => `'${r}'`).join(', ');
+        console.log(`Remote cleanup enabled for ${remoteList}.`);
+    }
+    if (staleEnabled) { // Check if -s or --stale-before was passed by the user
+        console.log(`Stale branch cleanup enabled: Branches inactive ${staleInactivity} (by ${STALE_DATE_SOURCES[staleBy]}) will be considered.`);
+    } else {
+        // If -s was not passed, the default 120 is implicitly active, but we might not need to log it explicitly.
+        // console.log(`Stale branch cleanup enabled: Using default >= 120 days threshold.`); 
+    }
+    if (protectPatterns.length > 0) {
+        console.log(`Protected branch patterns: ${protectPatterns.join(', ')}`);
+    }
+    if (includePatterns.length > 0) {
+        console.log(`Only considering branches matching: ${includePatterns.join(', ')}`);
+    }
+    if (authorPatterns.length > 0) {
+        console.log(`Only considering branches authored by: ${authorPatterns.join(', ')}`);
+    }
+    if (excludeAuthorPatterns.length > 0) {
+        console.log(`Skipping branches with commits by: ${excludeAuthorPatterns.join(', ')}`);
+    }
+    if (archiveMode) {
+        console.log(`Archive mode: branches are kept as a ${ARCHIVE_MODES[archiveMode]} before they are deleted (see 'cleanrepo unarchive').`);
+    }
 }
 if (dryRun) {
     console.log('*** DRY RUN MODE ENABLED *** No changes will be made.');
 }
 
 // --- Helper Functions ---
-function runCommand(command, ignoreError = false) {
-  // console.log(`> ${command}`); // Optional: Log commands being run
-  try {
-    // Increase maxBuffer size if needed for large command outputs
-    return execSync(command, { stdio: 'pipe', maxBuffer: 1024 * 1024 * 5 }).toString().trim();
-  } catch (error) {
-    if (ignoreError) return ''; // Return empty string if error is ignored
+// Helper function to print a branch name in bold green
+function highlight(branchName) {
+  return `\x1b[1;32m${branchName}\x1b[0m`;
+}
 
-    console.error(`Error running command: ${command}`);
-    const stderr = error.stderr ? error.stderr.toString().trim() : '';
-    if (stderr) {
-        console.error(stderr);
-    } else {
-        console.error(error.message);
-    }
-    throw error; // Re-throw to be caught by main try-catch
+// Helper function to print a warning in bold red
+function warnText(text) {
+  return `\x1b[1;31m${text}\x1b[0m`;
+}
+
+// Helper function to describe a stale candidate's safety classification, flagging branches that hold unique work
+function formatSafety(candidate) {
+  if (!candidate.safety) return '';
+  const fullBase = candidate.base || (candidate.remote ? `${candidate.remote}/${baseBranch}` : baseBranch);
+  const description = describeSafety(candidate.safety, fullBase);
+  return candidate.safety.status === 'unique' ? warnText(`⚠ ${description}`) : description;
+}
+
+// Helper function to get a candidate's branch name, or tag name for tag candidates
+function candidateName(candidate) {
+  return candidate.kind === 'tag' ? candidate.tag : candidate.branch;
+}
+
+// Helper function to get the date shown and sorted by: the last commit of a branch, the creation of a tag
+function candidateDate(candidate) {
+  return candidate.kind === 'tag' ? candidate.tagDate : candidate.lastCommitDate;
+}
+
+// Orders offered in the checklist's "Sort" menu
+const SORT_ORDERS = {
+  name: { label: 'name', compare: (a, b) => candidateName(a).localeCompare(candidateName(b)) },
+  date: { label: 'last commit or tag date (oldest first)', compare: (a, b) => new Date(candidateDate(a)) - new Date(candidateDate(b)) },
+  author: { label: 'owner', compare: (a, b) => (a.owner || '').localeCompare(b.owner || '') },
+  ahead: { label: 'commits ahead of base (most first)', compare: (a, b) => (b.ahead || 0) - (a.ahead || 0) },
+};
+
+// Helper function to print a candidate's name, prefixed with its remote for remote branches and tags
+function displayName(candidate) {
+  return candidate.remote ? `${candidate.remote}/${candidateName(candidate)}` : candidateName(candidate);
+}
+
+// Helper function to summarise a candidate's last commit, position relative to the base and upstream
+// (for tags: the tag date, tagger, kind of tag and tagged commit)
+function formatCandidateDetails(candidate) {
+  const parts = [];
+  if (candidate.kind === 'tag') {
+    if (candidate.tagDate) parts.push(new Date(candidate.tagDate).toLocaleDateString());
+    if (candidate.tagger) parts.push(`by ${candidate.tagger.replace(/\s*<[^>]*>$/, '')}`);
+    parts.push(`${candidate.annotated ? 'annotated' : 'lightweight'} tag of ${candidate.commit.substring(0, 10)}`);
+    return parts.join(', ');
+  }
+  if (candidate.lastCommitDate) parts.push(new Date(candidate.lastCommitDate).toLocaleDateString());
+  if (candidate.owner) {
+    // Name only, the email makes rows too wide
+    const otherAuthors = candidate.authors.length - 1;
+    parts.push(`by ${candidate.owner.replace(/\s*<[^>]*>$/, '')}${otherAuthors > 0 ? ` +${otherAuthors} other author(s)` : ''}`);
+  }
+  if (candidate.ahead !== null && candidate.ahead !== undefined) parts.push(`+${candidate.ahead}/-${candidate.behind} vs ${candidate.base || 'base'}`);
+  if (candidate.pullRequest) parts.push(`PR #${candidate.pullRequest.number} ${candidate.pullRequest.state}`);
+  if (candidate.upstream) {
+    parts.push(`upstream ${candidate.upstream} (${candidate.upstreamStatus})`);
+  } else if (candidate.type === 'local') {
+    parts.push('no upstream');
   }
+  return parts.join(', ');
 }
 
-function getBranchCommitTimestamp(branchName) {
-  try {
-    // Use %ct for committer timestamp (Unix seconds)
-    // Use --no-pager to prevent potential hanging on some systems
-    const timestampStr = runCommand(`git --no-pager log -1 --format=%ct ${branchName}`);
-    return parseInt(timestampStr, 10);
-  } catch (error) {
-    // Don't warn here, handled later if needed
-    return 0; // Return 0 to indicate failure
+// Helper function to describe why a candidate is offered, including its safety classification if it has one
+function formatCandidateReason(candidate) {
+  return candidate.safety ? `${candidate.reason}; ${formatSafety(candidate)}` : candidate.reason;
+}
+
+// Helper function to print the last few commits of a candidate
+function previewCommits(candidate) {
+  const log = runGit(['--no-pager', 'log', '-n', '10', '--date=short', '--format=%h %ad %an: %s', candidate.sha, '--'], { cwd, ignoreError: true });
+  console.log(`\nRecent commits on ${highlight(displayName(candidate))} (${formatCandidateDetails(candidate)}):`);
+  log.split('\n').filter(Boolean).forEach(line => console.log(`  ${line}`));
+  console.log('');
+}
+
+// Interactive prompt to select branches (or tags, for tag candidates) for deletion. Returns the selected candidates.
+// Each entry shows the candidate's details and reason; after every pass the list can be sorted,
+// filtered or a candidate's recent commits previewed before the selection is accepted.
+// `uncheckedBranches` start deselected (e.g. stale branches holding unique work)
+async function selectBranchesToDelete(candidates, type, reason, isDryRun = false, uncheckedBranches = new Set()) {
+  if (!candidates || candidates.length === 0) {
+    return []; // Return empty array if no candidates
+  }
+  const noun = candidates[0].kind === 'tag' ? { one: 'tag', many: 'tags', count: 'tag(s)' } : { one: 'branch', many: 'branches', count: 'branch(es)' };
+
+  if (nonInteractive) {
+    console.log(`Non-interactive mode: selecting all ${candidates.length} ${type} ${noun.count} (${reason}).`);
+    return candidates;
+  }
+
+  const selected = new Set(candidates.filter(c => !uncheckedBranches.has(candidateName(c))).map(candidateName)); // Default to selected
+  let sortOrder = 'name';
+  let filterText = '';
+  for (;;) {
+    const needle = filterText.toLowerCase();
+    const visible = candidates
+      .filter(c => !needle || [candidateName(c), c.reason, ...(c.authors || []), c.tagger || ''].some(text => text.toLowerCase().includes(needle)))
+      .sort(SORT_ORDERS[sortOrder].compare);
+    const view = `sorted by ${SORT_ORDERS[sortOrder].label}${filterText ? `, ${visible.length} of ${candidates.length} matching '${filterText}'` : ''}`;
+    const message = isDryRun
+        ? `[Dry Run] Select ${type.toUpperCase()} ${noun.many} (${reason}) to mark for deletion [${view}] (use arrows, space to toggle, enter to confirm):`
+        : `Select ${type.toUpperCase()} ${noun.many} (${reason}) to delete [${view}] (use arrows, space to toggle, enter to confirm):`;
+
+    const { selectedBranches } = await prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedBranches',
+        message: message,
+        choices: visible.map(candidate => ({
+          name: `${candidateName(candidate)}: ${formatCandidateReason(candidate)} | ${formatCandidateDetails(candidate)}`,
+          value: candidateName(candidate),
+          checked: selected.has(candidateName(candidate)),
+        })),
+        pageSize: 10, // Adjust as needed
+        loop: false,
+      },
+    ]);
+    // Candidates hidden by the filter keep their previous selection
+    visible.forEach(candidate => selected.delete(candidateName(candidate)));
+    selectedBranches.forEach(branch => selected.add(branch));
+
+    const { action } = await prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `${selected.size} of ${candidates.length} ${type} ${noun.count} (${reason}) selected.`,
+        choices: [
+          { name: 'Continue with this selection', value: 'done' },
+          { name: 'Change the selection', value: 'edit' },
+          { name: 'Sort the list', value: 'sort' },
+          { name: 'Filter the list', value: 'filter' },
+          { name: `Preview a ${noun.one}'s recent commits`, value: 'preview' },
+        ],
+      },
+    ]);
+    if (action === 'done') break;
+    if (action === 'sort') {
+      ({ sortOrder } = await prompt([
+        {
+          type: 'list',
+          name: 'sortOrder',
+          message: `Sort ${noun.many} by:`,
+          choices: Object.entries(SORT_ORDERS).map(([value, order]) => ({ name: order.label, value })),
+          default: sortOrder,
+        },
+      ]));
+    } else if (action === 'filter') {
+      ({ filterText } = await prompt([
+        {
+          type: 'input',
+          name: 'filterText',
+          message: `Only show ${noun.many} whose name, author or reason contains (leave empty to show all):`,
+          default: filterText,
+          filter: input => input.trim(),
+        },
+      ]));
+    } else if (action === 'preview') {
+      const { previewBranch } = await prompt([
+        {
+          type: 'list',
+          name: 'previewBranch',
+          message: `Preview which ${noun.one}?`,
+          choices: visible.map(candidateName),
+          pageSize: 10,
+          loop: false,
+        },
+      ]);
+      previewCommits(candidates.find(candidate => candidateName(candidate) === previewBranch));
+    }
   }
+
+  return candidates.filter(candidate => selected.has(candidateName(candidate)));
 }
 
-// Helper function to get a map of branch names to their tip commit hashes
-function getBranchTipMap(remote = false) {
-    const branchMap = new Map();
-    // Ensure remoteName is accessible or passed if needed
-    const effectiveRemoteName = remote ? (typeof remoteName !== 'undefined' ? remoteName : 'origin') : '';
-    const command = `git branch ${remote ? '-r ' : ''}--format='%(refname:short) %(objectname)'`;
-    const output = runCommand(command, true); // Ignore errors initially
-    if (output === null || output === '') {
-        console.warn(`Could not retrieve ${remote ? 'remote' : 'local'} branches.`);
-        return branchMap; // Return empty map on failure
-    }
-
-    output.split('\n').forEach(line => {
-        const parts = line.trim().split(' ');
-        if (parts.length === 2) {
-            let branchName = parts[0];
-            const commitHash = parts[1];
-            // Strip remote prefix for remote branches if needed
-            if (remote && branchName.startsWith(effectiveRemoteName + '/')) {
-                branchName = branchName.substring(effectiveRemoteName.length + 1);
-            }
-            // Avoid adding HEAD pointers etc.
-            if (branchName && !branchName.includes('->')) {
-               branchMap.set(branchName, commitHash);
-            }
-        }
+// Helper function to print the candidates found by one analysis step, plus the branches it skipped
+function logFoundCandidates(branchSet, category, remote = null) {
+  const type = remote ? 'remote' : 'local';
+  const skipped = branchSet.protected.filter(entry => entry.category === category);
+  skipped.filter(entry => !entry.byAuthor).forEach(entry => {
+    const logMsg = ` - Skipping protected ${type} branch: ${remote ? `${remote}/` : ''}${entry.branch} (${entry.reason})`;
+    console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+  });
+  // Branches of other authors can number in the hundreds on shared remotes, so only count them
+  const filteredByAuthorCount = skipped.filter(entry => entry.byAuthor).length;
+  if (filteredByAuthorCount > 0) {
+    const logMsg = ` - Skipping ${filteredByAuthorCount} ${type} branch(es) filtered out by author`;
+    console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+  }
+  if (category === 'closed') {
+    branchSet.closed.forEach(candidate => {
+      const logMsg = ` - Found ${type} branch with closed pull request: ${highlight(displayName(candidate))} (${candidate.reason}; ${formatSafety(candidate)})`;
+      console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
     });
-    return branchMap;
+    return;
+  }
+  if (category === 'gone') {
+    branchSet.gone.forEach(candidate => {
+      const logMsg = ` - Found ${type} branch with gone upstream: ${highlight(candidate.branch)} (${candidate.reason}; ${formatSafety(candidate)})`;
+      console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+    });
+    return;
+  }
+  if (category !== 'stale') return;
+  branchSet.stale.forEach(candidate => {
+    const inactiveDate = new Date(candidate.staleDate).toLocaleDateString();
+    const logMsg = ` - Found stale ${type} branch: ${highlight(displayName(candidate))} (inactive since ${inactiveDate} by ${STALE_DATE_SOURCES[candidate.staleDateSource]}; ${formatSafety(candidate)})`;
+    console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+  });
 }
 
-// Helper function to find the commit hashes that were merged into a base branch
-function getDirectlyMergedCommitHashes(base, remote = false) {
-    const mergedHashes = new Set();
-    // Ensure remoteName is accessible or passed if needed
-    const effectiveRemoteName = remote ? (typeof remoteName !== 'undefined' ? remoteName : 'origin') : '';
-    const fullBase = remote ? `${effectiveRemoteName}/${base}` : base;
-    // Use --first-parent to follow only the main line of the base branch
-    const command = `git log ${fullBase} --merges --first-parent --pretty=format:"%P"`;
-    const output = runCommand(command, true); // Ignore errors initially
-    if (output === null || output === '') return mergedHashes; // Return empty set on failure or empty output
+// Helper function to get the label of a category used in log messages
+function categoryLabel(category) {
+  return { gone: 'upstream-gone', closed: 'closed-PR' }[category] || category;
+}
 
-    output.split('\n').filter(line => line.trim()).forEach(line => {
-        const parents = line.trim().split(' ');
-        if (parents.length > 1) { // Ensure there's a second parent
-          mergedHashes.add(parents[1]); // Add the second parent hash
-        }
-    });
-    return mergedHashes;
+// Helper function to build the pullRequests option of analyzeBranches for a repository from its configuration
+// and the flags: on with --pull-requests (or --provider/--provider-url) or a configured "hosting" section.
+// Returns null when pull requests are not checked.
+function getPullRequestOptions(repoConfig, repoRemotes) {
+  const enabled = argv['pull-requests'] !== undefined
+    ? argv['pull-requests']
+    : repoConfig.hosting !== undefined || argv.provider !== undefined || argv['provider-url'] !== undefined;
+  if (!enabled) return null;
+  return {
+    remote: repoRemotes[0] || 'origin',
+    ...repoConfig.hosting,
+    ...(argv.provider ? { provider: argv.provider } : {}),
+    ...(argv['provider-url'] ? { baseUrl: argv['provider-url'] } : {}),
+  };
 }
 
-// Interactive prompt to select branches for deletion
-async function selectBranchesToDelete(branches, type, reason, isDryRun = false) {
-  if (!branches || branches.size === 0) {
-    return []; // Return empty array if no candidates
+// Helper function to check whether a candidate holds commits that exist on no remote
+function holdsUniqueWork(candidate) {
+  return Boolean(candidate.safety && candidate.safety.status === 'unique');
+}
+
+// Helper function to check whether a candidate is only removed non-interactively with --force-unique: it holds
+// commits that exist on no remote and is not archived first
+function needsForceUnique(candidate) {
+  return !archiveMode && holdsUniqueWork(candidate);
+}
+
+// Helper function to delete branch candidates, or with --archive to archive and then delete them
+function removeBranches(candidates, options) {
+  return archiveMode ? archiveBranches(candidates, { ...options, mode: archiveMode }) : deleteBranches(candidates, options);
+}
+
+// Helper function to log the outcome of removing one branch; `description` names it (e.g. "local merged branch: x")
+// and `detail` is added when it was removed
+function logRemoval(result, description, detail = '') {
+  if (result.deleted) {
+    console.log(`  - ${archiveMode ? 'Archived' : 'Deleted'} ${description}${detail}${archiveMode ? ` to ${result.archiveRef}` : ''}`);
+  } else if (result.archived) {
+    console.error(`  - FAILED to delete ${description} (archived to ${result.archiveRef}). Error: ${result.error}`);
+  } else {
+    console.error(`  - FAILED to ${archiveMode ? 'archive' : 'delete'} ${description}. Error: ${result.error}`);
+  }
+}
+
+// Helper function to label a candidate with its merge strategy or safety classification
+function candidateLabel(candidate) {
+  if (candidate.safety) return ` (${formatSafety(candidate)})`;
+  return candidate.strategy ? ` (${MERGE_STRATEGY_LABELS[candidate.strategy]})` : '';
+}
+
+// Lists (dry run) or prompts for one category of candidates.
+// Returns the selected candidates (empty in a dry run); nothing is deleted yet.
+async function selectCandidates(candidates, category, remote = null) {
+  const type = remote ? 'remote' : 'local';
+  const scope = remote ? ` on '${remote}'` : '';
+  const headings = { merged: 'merged', closed: 'pull request closed', gone: 'upstream gone', stale: `stale ${staleCutoff}` };
+  const heading = headings[category];
+
+  if (dryRun) {
+    if (candidates.length > 0) {
+      console.log(`\n[Dry Run] Found ${candidates.length} ${type.toUpperCase()} branch(es)${scope} candidates for ${archiveMode ? 'archiving' : 'deletion'} (${heading}):`);
+      candidates.forEach(candidate => console.log(`  - ${highlight(displayName(candidate))}${candidateLabel(candidate)} - ${formatCandidateDetails(candidate)}`)); // Bold Green branch name
+    } else {
+      console.log(`\n[Dry Run] No ${type} ${categoryLabel(category)} branches${scope} identified for deletion.`);
+    }
+    // Skip interactive selection in dry run
+    return [];
+  }
+
+  // Branches holding commits that exist on no remote are only deleted non-interactively with --force-unique
+  // (or --archive, which keeps their commits)
+  if (nonInteractive && !argv['force-unique']) {
+    candidates.filter(needsForceUnique).forEach(candidate => {
+      console.log(`Skipping ${type} ${categoryLabel(category)} branch ${displayName(candidate)}: ${describeSafety(candidate.safety, candidate.base)} (use --force-unique to delete it, or --archive).`);
+    });
+    candidates = candidates.filter(candidate => !needsForceUnique(candidate));
   }
 
-  const branchList = Array.from(branches);
-  const message = isDryRun
-      ? `[Dry Run] Select ${type.toUpperCase()} branches (${reason}) to mark for deletion (use arrows, space to toggle, enter to confirm):`
-      : `Select ${type.toUpperCase()} branches (${reason}) to delete (use arrows, space to toggle, enter to confirm):`;
+  // Normal Run: Interactive Selection
+  const uncheckedBranches = new Set(candidates.filter(needsForceUnique).map(c => c.branch));
+  let reason = { merged: 'merged', closed: 'pull request closed without merging', gone: 'upstream gone', stale: `stale (${staleCutoff})` }[category];
+  if (remote) {
+    reason = {
+      merged: `merged into ${baseBranches.map(base => `'${remote}/${base}'`).join(', ')}`,
+      closed: `pull request closed without merging, on '${remote}'`,
+      stale: `stale on '${remote}' (${staleCutoff})`,
+    }[category];
+  }
+  const selected = await selectBranchesToDelete(candidates, type, reason, dryRun, uncheckedBranches);
+  if (selected.length === 0) {
+    console.log(`No ${type} ${categoryLabel(category)} branches${scope} selected for deletion.`);
+  }
+  return selected;
+}
 
-  const { selectedBranches } = await inquirer.prompt([
+// Shows everything selected across all prompts and asks once before anything is deleted.
+// `selections` is a list of { category, remote, candidates }; `noun` names what is deleted and `archive` tells
+// whether it is archived first. Returns whether to go ahead.
+async function confirmDeletions(selections, noun = 'branch(es)', archive = false) {
+  const total = selections.reduce((sum, selection) => sum + selection.candidates.length, 0);
+  if (total === 0 || nonInteractive) return true;
+
+  console.log(`\nThe following ${total} ${noun} will be ${archive ? 'archived' : 'deleted'}:`);
+  selections.forEach(({ remote, candidates }) => {
+    candidates.forEach(candidate => {
+      console.log(`  - ${remote ? 'remote' : 'local'} ${highlight(displayName(candidate))}: ${formatCandidateReason(candidate)}`);
+    });
+  });
+  const { confirmed } = await prompt([
     {
-      type: 'checkbox',
-      name: 'selectedBranches',
-      message: message,
-      choices: branchList.map(branch => ({ name: branch, checked: true })), // Default to selected
-      pageSize: 10, // Adjust as needed
-      loop: false,
+      type: 'confirm',
+      name: 'confirmed',
+      message: `${archive ? 'Archive' : 'Delete'} these ${total} ${noun}?`,
+      default: false,
     },
   ]);
+  return confirmed;
+}
 
-  return selectedBranches; // Return the array of selected branch names
+// Deletes (or archives) all confirmed selections in one call (so remote branches of every category
+// share batched pushes) and logs the outcome per selection. Returns the results of each selection.
+async function deleteSelections(selections) {
+  // Checking a flagged branch in the prompt is an explicit opt-in to deleting it
+  const results = await removeBranches(selections.flatMap(selection => selection.candidates), {
+    cwd,
+    session: sessionId,
+    forceUnique: !nonInteractive || argv['force-unique'],
+  });
+
+  let offset = 0;
+  return selections.map(({ category, remote, candidates }) => {
+    const type = remote ? 'remote' : 'local';
+    const scope = remote ? ` on '${remote}'` : '';
+    const selectionResults = results.slice(offset, offset + candidates.length);
+    offset += candidates.length;
+    if (candidates.length === 0) return selectionResults;
+
+    console.log(`${archiveMode ? 'Archiving' : 'Deletion'} of ${candidates.length} selected ${type} ${categoryLabel(category)} branch(es)${scope}:`);
+    selectionResults.forEach((result, index) => {
+      const candidate = candidates[index];
+      logRemoval(result, `${type} ${categoryLabel(category)} branch: ${displayName(candidate)}`, candidateLabel(candidate));
+      if (result.journalError) {
+        console.warn(`    WARN: Could not record deletion of ${result.branch} in the undo journal: ${result.journalError}`);
+      }
+    });
+    return selectionResults;
+  });
 }
 
-// --- Main Logic ---
-(async () => {
-  let totalLocalDeleted = 0;
-  let totalLocalFailed = 0;
-  let totalRemoteDeleted = 0;
-  let totalRemoteFailed = 0;
+// Lists (dry run) or prompts for and removes linked worktrees whose branch is a merged/stale candidate,
+// then prunes worktrees whose directory no longer exists. Returns the removal results.
+async function cleanUpWorktrees(worktrees) {
+  const describe = candidate => `${candidate.path} (${candidate.branch}, ${candidate.category})`;
+  worktrees.candidates.filter(c => !c.clean || c.locked).forEach(candidate => {
+    const logMsg = ` - Keeping worktree ${describe(candidate)}: ${candidate.locked ? 'it is locked' : 'it has uncommitted or untracked changes'}`;
+    console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+  });
+  const removable = worktrees.candidates.filter(c => c.clean && !c.locked);
 
-  // Keep track of branches already handled to avoid double-processing
-  const handledLocalBranches = new Set();
-  const handledRemoteBranches = new Set(); // Store short names
+  if (dryRun) {
+    removable.forEach(candidate => console.log(`[Dry Run] Would remove worktree ${highlight(candidate.path)} (${candidate.branch}, ${candidate.category})`));
+    worktrees.prunable.forEach(entry => console.log(`[Dry Run] Would prune worktree ${entry.path} (${entry.reason})`));
+    if (removable.length === 0 && worktrees.prunable.length === 0) {
+      console.log('[Dry Run] No worktrees identified for removal.');
+    }
+    return [];
+  }
 
-  try {
-    // 1. Initial Prune
-    console.log('\nStep 1: Pruning remote-tracking branches...');
-    runCommand(`git fetch ${remoteName} --prune`);
+  let selectedPaths = removable.map(candidate => candidate.path);
+  if (removable.length > 0 && !nonInteractive) {
+    ({ selectedPaths } = await prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedPaths',
+        message: 'Select WORKTREES of merged/stale branches to remove (use arrows, space to toggle, enter to confirm):',
+        choices: removable.map(candidate => ({ name: describe(candidate), value: candidate.path, checked: true })),
+        pageSize: 10,
+        loop: false,
+      },
+    ]));
+  } else if (removable.length > 0) {
+    console.log(`Non-interactive mode: selecting all ${removable.length} clean worktree(s).`);
+  }
 
-    // --- Define Deletion Functions ---
-    const localMergedDeleteFn = async (branch) => `git branch -d ${branch}`;
-    const localStaleDeleteFn = async (branch) => `git branch -D ${branch}`; // Force delete
-    const remoteDeleteFn = async (branch) => `git push ${remoteName} --delete ${branch}`;
+  const results = await removeWorktrees(selectedPaths, { cwd });
+  results.forEach(result => {
+    if (result.removed) {
+      console.log(`  - Removed worktree: ${result.path}`);
+    } else {
+      console.error(`  - FAILED to remove worktree: ${result.path}. Error: ${result.error}`);
+    }
+  });
 
-    // --- 2. Process LOCAL Branches ---
-    console.log("\n--- Processing LOCAL Branches ---");
-    let localMergedToDelete = new Set();
-    let localStaleToDelete = new Set();
+  if (worktrees.prunable.length > 0) {
+    await pruneWorktrees({ cwd });
+    worktrees.prunable.forEach(entry => console.log(`  - Pruned worktree: ${entry.path} (${entry.reason})`));
+  }
+  if (removable.length === 0 && worktrees.prunable.length === 0) {
+    console.log('No worktrees identified for removal.');
+  }
+  return results;
+}
 
-    // --- 2a. Check LOCAL branches MERGED into local base ---
-    console.log(`\nStep 2a: Checking LOCAL branches merged into local '${baseBranch}'...`);
-    let currentBranch = '';
-    try {
-      runCommand(`git show-ref --verify --quiet refs/heads/${baseBranch}`);
-      currentBranch = runCommand('git symbolic-ref --short HEAD', true) || '';
-      console.log(`Current local branch: ${currentBranch}`);
-
-      // New logic: Find branches whose tips match merged commits
-      const localBranchTips = getBranchTipMap(false);
-      const directlyMergedHashes = getDirectlyMergedCommitHashes(baseBranch, false);
-
-      localBranchTips.forEach((commitHash, branchName) => {
-          // Check if hash exists, not the base branch, not current branch
-          if (directlyMergedHashes.has(commitHash) && branchName !== baseBranch && branchName !== currentBranch) {
-              localMergedToDelete.add(branchName);
-          }
-      });
-    } catch (error) {
-        console.warn(`Skipping local merged check: Could not verify local base branch '${baseBranch}' or get branches. Error: ${error.message}`);
+// --- Workspace Mode ---
+// Helper function to build the analyzeBranches options for one workspace repository. Like in a single
+// repository, the repository's own configuration applies and command-line flags override it.
+function getWorkspaceAnalysisOptions(repoPath, repoConfig) {
+    let repoRemotes = repoConfig.remote || ['origin'];
+    if (argv['all-remotes']) {
+        repoRemotes = listRemotes(repoPath);
+    } else if ((argv['remote-name'] || []).length > 0) {
+        repoRemotes = [...new Set(argv['remote-name'].map(String))];
     }
+    const staleDaysGiven = argv.stale !== undefined && argv.stale !== true && argv.stale !== '';
+    return {
+        cwd: repoPath,
+        base: (argv.base || []).length > 0 ? baseBranches : (repoConfig.base || null),
+        remote: deleteRemote ? repoRemotes : null,
+        remotesToFetch: repoRemotes,
+        staleDays: argv.stale !== undefined ? (staleDaysGiven ? actualStaleDays : (repoConfig.staleDays !== undefined ? repoConfig.staleDays : 120)) : null,
+        staleBefore: staleBefore !== undefined ? staleBefore : null,
+        staleBy: argv['stale-by'] || repoConfig.staleBy || 'committer',
+        gone: argv.gone,
+        protect: [...repoConfig.protect, ...(argv.protect || []).map(String)],
+        include: (argv.include || []).length > 0 ? argv.include.map(String) : repoConfig.include,
+        authors: authorPatterns,
+        excludeAuthors: excludeAuthorPatterns,
+        pullRequests: getPullRequestOptions(repoConfig, repoRemotes),
+    };
+}
 
-    // --- 2b. Check LOCAL branches STALE (if requested) ---
-    if (argv.stale !== undefined) { 
-        console.log(`\nStep 2b: Checking LOCAL branches inactive for >= ${actualStaleDays} days...`);
-        const staleThreshold = (Date.now() / 1000) - (actualStaleDays * 24 * 60 * 60); // In seconds
+// Helper function to list every candidate of a workspace repository's analysis, local ones first
+function workspaceCandidates(analysis) {
+    const localCategories = argv.gone ? ['merged', 'closed', 'gone', 'stale'] : ['merged', 'closed', 'stale'];
+    return [
+        ...localCategories.flatMap(category => analysis.local[category]),
+        ...Object.values(analysis.remotes).flatMap(remoteAnalysis => [...remoteAnalysis.merged, ...remoteAnalysis.closed, ...remoteAnalysis.stale]),
+    ];
+}
 
-        try {
-            const allLocalBranchesOutput = runCommand('git branch --format="%(refname:short)"');
-            const allLocalBranches = allLocalBranchesOutput.split('\n')
-                .map(l => l.trim())
-                .filter(Boolean);
-
-            for (const branch of allLocalBranches) {
-                // Skip if already handled as merged OR if it's the base branch
-                if (branch === baseBranch || handledLocalBranches.has(branch)) {
-                    continue;
-                }
+// Helper function to describe a workspace candidate in one line: where it lives, its name, category and reason
+function describeWorkspaceCandidate(candidate) {
+  return `${candidate.type} ${categoryLabel(candidate.category)} ${highlight(displayName(candidate))}: ${formatCandidateReason(candidate)}`;
+}
 
-                const commitTimestamp = getBranchCommitTimestamp(branch);
-                if (commitTimestamp > 0) {
-                    const isStale = commitTimestamp <= staleThreshold; // Use <= for comparison
-
-                    if (isStale) {
-                        // Only add to stale list if NOT already marked as merged
-                        if (isStale && !localMergedToDelete.has(branch)) {
-                            const inactiveDate = new Date(commitTimestamp * 1000).toLocaleDateString();
-                            // Apply dry-run prefix and color codes correctly
-                            const branchDisplayName = `\x1b[1;32m${branch}\x1b[0m`;
-                            const logMsg = ` - Found stale local branch: ${branchDisplayName} (inactive since ${inactiveDate})`;
-                            if (dryRun) {
-                                console.log(`[Dry Run]${logMsg}`);
-                            } else {
-                                console.log(logMsg);
-                            }
-                            localStaleToDelete.add(branch);
-                            handledLocalBranches.add(branch); // Mark as handled
-                        }
-                    }
-                } else if (commitTimestamp === 0) {
-                    console.warn(` - Could not get timestamp for local branch ${branch}. Skipping stale check for it.`);
-                }
+// Helper function to print rows of cells as a table with left-aligned, padded columns; the first row is the header
+function printTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  rows.forEach((row, index) => {
+    console.log(`  ${row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()}`);
+    if (index === 0) console.log(`  ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+  });
+}
+
+// Cleans up the branches of every repository found under --workspace: analyses each one, offers all
+// candidates in one checklist grouped by repository, confirms once and deletes per repository.
+// A repository that fails (e.g. its base branch is missing) is reported and skipped.
+// Returns { workspaceReport, exitCode }: the report printed with --json and the outcome's exit code.
+async function cleanUpWorkspace() {
+    const workspaceRoot = path.resolve(argv.workspace);
+    console.log(`\nStep 1: Searching for git repositories (up to ${argv.depth} level(s) deep)...`);
+    const repos = findRepositories(workspaceRoot, { depth: argv.depth, exclude: (argv.exclude || []).map(String) })
+        .map(repoPath => ({
+            path: repoPath,
+            name: path.relative(workspaceRoot, repoPath) || path.basename(repoPath),
+            bases: [],
+            candidates: [],
+            selected: [],
+            deletions: [],
+            error: null,
+        }));
+    console.log(`Found ${repos.length} repositor${repos.length === 1 ? 'y' : 'ies'}.`);
+
+    // --- 2. Analyse each repository ---
+    for (const repo of repos) {
+        console.log(`\nStep 2: Analysing ${highlight(repo.name)}...`);
+        try {
+            const { remotesToFetch, ...analysisOptions } = getWorkspaceAnalysisOptions(repo.path, loadConfig(repo.path));
+            const configuredRemotes = listRemotes(repo.path);
+            for (const remoteName of remotesToFetch.filter(r => configuredRemotes.includes(r))) {
+                runGit(['fetch', '--prune', '--', remoteName], { cwd: repo.path });
+            }
+            const analysis = await analyzeBranches(analysisOptions);
+            // A single repository only warns about a missing base; across a workspace it usually means another default branch
+            if (analysis.local.bases.length === 0) {
+                throw new Error(`No branch matches base ${analysis.basePatterns.map(base => `'${base}'`).join(', ')} (set "base" in the repository's .cleanreporc)`);
             }
+            repo.bases = analysis.local.bases;
+            [...analysis.warnings, ...analysis.local.warnings, ...Object.values(analysis.remotes).flatMap(r => r.warnings)]
+                .forEach(warning => console.warn(`  ${warning}`));
+            repo.candidates = workspaceCandidates(analysis);
+            console.log(`  ${repo.candidates.length} candidate(s) for deletion (base ${repo.bases.map(base => `'${base}'`).join(', ')}).`);
         } catch (error) {
-            console.warn(`Skipping local stale check: Could not get local branches. Error: ${error.message}`);
+            repo.error = getErrorDetail(error);
+            console.error(`  Skipping ${repo.name}: ${repo.error}`);
         }
     }
+    const reposWithCandidates = repos.filter(repo => repo.candidates.length > 0);
 
-    // --- 2c. Perform LOCAL Deletions ---
+    // --- 3. Select branches, grouped by repository ---
+    let cancelled = false;
     if (dryRun) {
-        if (localMergedToDelete.size > 0) {
-            console.log(`\n[Dry Run] Found ${localMergedToDelete.size} LOCAL branch(es) candidates for deletion (merged):`);
-            localMergedToDelete.forEach(branch => console.log(`  - \x1b[1;32m${branch}\x1b[0m`)); // Bold Green branch name
-            // No actual deletion or further action in dry run for this section
-        } else {
-            console.log("\n[Dry Run] No local merged branches identified for deletion.");
+        reposWithCandidates.forEach(repo => {
+            console.log(`\n[Dry Run] ${repo.name}: ${repo.candidates.length} candidate(s) for ${archiveMode ? 'archiving' : 'deletion'}:`);
+            repo.candidates.forEach(candidate => console.log(`  - ${describeWorkspaceCandidate(candidate)} - ${formatCandidateDetails(candidate)}`));
+        });
+        if (reposWithCandidates.length === 0) {
+            console.log('\n[Dry Run] No branches identified for deletion in any repository.');
         }
-        // Skip interactive selection and deletion loop in dry run
+    } else if (nonInteractive) {
+        reposWithCandidates.forEach(repo => {
+            // Branches holding commits that exist on no remote are only deleted non-interactively with --force-unique
+            repo.selected = repo.candidates.filter(candidate => argv['force-unique'] || !needsForceUnique(candidate));
+            repo.candidates.filter(candidate => !repo.selected.includes(candidate)).forEach(candidate => {
+                console.log(`Skipping ${repo.name}: ${candidate.type} ${displayName(candidate)}: ${describeSafety(candidate.safety, candidate.base)} (use --force-unique to delete it, or --archive).`);
+            });
+        });
+        const selectedCount = reposWithCandidates.reduce((sum, repo) => sum + repo.selected.length, 0);
+        console.log(`\nNon-interactive mode: selecting all ${selectedCount} branch(es) in ${reposWithCandidates.length} repositor${reposWithCandidates.length === 1 ? 'y' : 'ies'}.`);
+    } else if (reposWithCandidates.length > 0) {
+        console.log('');
+        const { selectedCandidates } = await prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedCandidates',
+                message: `Select BRANCHES to ${archiveMode ? 'archive' : 'delete'}, grouped by repository (use arrows, space to toggle, enter to confirm):`,
+                choices: reposWithCandidates.flatMap(repo => [
+                    new inquirer.Separator(`# ${repo.name} (base ${repo.bases.map(base => `'${base}'`).join(', ')})`),
+                    ...repo.candidates.map(candidate => ({
+                        name: `${candidate.type} ${categoryLabel(candidate.category)} ${displayName(candidate)}: ${formatCandidateReason(candidate)} | ${formatCandidateDetails(candidate)}`,
+                        value: candidate,
+                        // Branches holding commits that exist on no remote start unchecked
+                        checked: !needsForceUnique(candidate),
+                    })),
+                ]),
+                pageSize: 15,
+                loop: false,
+            },
+        ]);
+        reposWithCandidates.forEach(repo => {
+            repo.selected = repo.candidates.filter(candidate => selectedCandidates.includes(candidate));
+        });
     } else {
-        // Normal Run: Interactive Selection and Deletion
-        const localMergedSelected = await selectBranchesToDelete(localMergedToDelete, 'local', 'merged', dryRun);
-        let localMergedDeletedCount = 0;
-        let localMergedFailedCount = 0;
-        if (localMergedSelected.length > 0) {
-            console.log(`Attempting deletion of ${localMergedSelected.length} selected local merged branch(es):`);
-            for (const branch of localMergedSelected) {
-                handledLocalBranches.add(branch); // Mark as handled
-                try {
-                    runCommand(await localMergedDeleteFn(branch));
-                    console.log(`  - Deleted local merged branch: ${branch}`);
-                    localMergedDeletedCount++;
-                } catch (error) {
-                    console.error(`  - FAILED to delete local merged branch: ${branch}. Error: ${error.message}`);
-                    localMergedFailedCount++;
-                }
+        console.log('\nNo branches identified for deletion in any repository.');
+    }
+
+    // --- 4. Confirm and delete per repository ---
+    const reposToClean = repos.filter(repo => repo.selected.length > 0);
+    const total = reposToClean.reduce((sum, repo) => sum + repo.selected.length, 0);
+    if (!dryRun && total > 0 && !nonInteractive) {
+        console.log(`\nThe following ${total} branch(es) in ${reposToClean.length} repositor${reposToClean.length === 1 ? 'y' : 'ies'} will be ${archiveMode ? 'archived' : 'deleted'}:`);
+        reposToClean.forEach(repo => {
+            console.log(`  ${repo.name}:`);
+            repo.selected.forEach(candidate => console.log(`    - ${describeWorkspaceCandidate(candidate)}`));
+        });
+        const { confirmed } = await prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: `${archiveMode ? 'Archive' : 'Delete'} these ${total} branch(es)?`,
+                default: false,
+            },
+        ]);
+        if (!confirmed) {
+            console.log('Deletion cancelled. No branches were deleted.');
+            cancelled = true;
+            reposToClean.forEach(repo => { repo.selected = []; });
+        }
+    }
+    if (!dryRun && !cancelled && total > 0) {
+        console.log(`\nStep 4: ${archiveMode ? 'Archiving' : 'Deleting'} selected branches...`);
+        for (const repo of reposToClean) {
+            console.log(`${repo.name}:`);
+            try {
+                // Checking a flagged branch in the prompt is an explicit opt-in to deleting it
+                repo.deletions = await removeBranches(repo.selected, {
+                    cwd: repo.path,
+                    session: sessionId,
+                    forceUnique: !nonInteractive || argv['force-unique'],
+                });
+                repo.deletions.forEach((result, index) => {
+                    const candidate = repo.selected[index];
+                    logRemoval(result, `${candidate.type} ${categoryLabel(candidate.category)} branch: ${displayName(candidate)}`);
+                    if (result.journalError) {
+                        console.warn(`    WARN: Could not record deletion of ${result.branch} in the undo journal: ${result.journalError}`);
+                    }
+                });
+                // Remote-tracking branches of deleted remote branches would otherwise linger until the next fetch
+                const cleanedRemotes = new Set(repo.selected.filter(candidate => candidate.type === 'remote').map(candidate => candidate.remote));
+                cleanedRemotes.forEach(remoteName => runGit(['fetch', '--prune', '--', remoteName], { cwd: repo.path, ignoreError: true }));
+            } catch (error) {
+                repo.error = getErrorDetail(error);
+                console.error(`  Skipping ${repo.name}: ${repo.error}`);
             }
-        } else {
-            console.log("No local merged branches selected for deletion.");
         }
-        totalLocalDeleted += localMergedDeletedCount;
-        totalLocalFailed += localMergedFailedCount;
     }
 
+    // --- 5. Summary ---
+    const countDeleted = repo => repo.deletions.filter(result => result.deleted).length;
+    const countFailed = repo => repo.deletions.filter(result => !result.deleted).length;
+    const statusOf = repo => {
+        if (repo.error) return `error: ${repo.error.split('\n')[0]}`;
+        if (repo.candidates.length === 0) return 'nothing to do';
+        if (dryRun) return 'dry run';
+        if (cancelled) return 'cancelled';
+        return countFailed(repo) > 0 ? 'some failed' : (repo.deletions.length > 0 ? 'cleaned' : 'none selected');
+    };
+    console.log('\n--- Summary ---');
     if (dryRun) {
-        if (localStaleToDelete.size > 0) {
-            console.log(`\n[Dry Run] Found ${localStaleToDelete.size} LOCAL branch(es) candidates for deletion (stale >= ${actualStaleDays} days):`);
-            localStaleToDelete.forEach(branch => console.log(`  - \x1b[1;32m${branch}\x1b[0m`)); // Bold Green branch name
+        console.log('*** Dry run complete. No branches were deleted. ***');
+    }
+    const totals = {
+        repositories: repos.length,
+        failedRepositories: repos.filter(repo => repo.error).length,
+        candidates: repos.reduce((sum, repo) => sum + repo.candidates.length, 0),
+        deleted: repos.reduce((sum, repo) => sum + countDeleted(repo), 0),
+        failed: repos.reduce((sum, repo) => sum + countFailed(repo), 0),
+    };
+    if (repos.length > 0) {
+        printTable([
+            ['Repository', 'Candidates', 'Deleted', 'Failed', 'Status'],
+            ...repos.map(repo => [repo.name, repo.candidates.length, countDeleted(repo), countFailed(repo), statusOf(repo)]),
+            ['Total', totals.candidates, totals.deleted, totals.failed, `${totals.failedRepositories} repositor${totals.failedRepositories === 1 ? 'y' : 'ies'} skipped`],
+        ]);
+    } else {
+        console.log(`No git repositories found under '${workspaceRoot}'.`);
+    }
+    console.log('\nCleanup complete.');
+
+    // A failed repository counts as a partial failure; if every repository failed, the run failed
+    let exitCode = EXIT_CODES.SUCCESS;
+    let outcome = dryRun ? 'dry-run' : 'all-deleted';
+    if (totals.repositories > 0 && totals.failedRepositories === totals.repositories) {
+        exitCode = EXIT_CODES.ERROR;
+        outcome = 'failed';
+    } else if (totals.failed > 0 || totals.failedRepositories > 0) {
+        exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        outcome = 'some-failed';
+    } else if (dryRun ? totals.candidates === 0 : totals.deleted === 0) {
+        exitCode = EXIT_CODES.NOTHING_TO_DO;
+        outcome = cancelled ? 'cancelled' : 'nothing-to-do';
+    }
+    const workspaceReport = {
+        root: workspaceRoot,
+        repositories: repos.map(repo => ({
+            path: repo.path,
+            bases: repo.bases,
+            error: repo.error,
+            candidates: repo.candidates,
+            deletions: repo.deletions,
+        })),
+        outcome,
+        totals,
+    };
+    return { workspaceReport, exitCode };
+}
+
+// --- Tags Command ---
+// Lists (dry run) or prompts for one category of tag candidates, after logging the tags protected from it.
+// Returns the selected candidates (empty in a dry run); nothing is deleted yet.
+async function selectTagCandidates(tagSet, category, remote = null) {
+    const type = remote ? 'remote' : 'local';
+    const scope = remote ? ` on '${remote}'` : '';
+    const label = TAG_CATEGORY_LABELS[category];
+    tagSet.protected.filter(entry => entry.category === category).forEach(entry => {
+        const logMsg = ` - Skipping protected ${type} tag: ${remote ? `${remote}/` : ''}${entry.tag} (${entry.reason})`;
+        console.log(dryRun ? `[Dry Run]${logMsg}` : logMsg);
+    });
+
+    const candidates = tagSet[category];
+    if (dryRun) {
+        if (candidates.length > 0) {
+            console.log(`\n[Dry Run] Found ${candidates.length} ${type.toUpperCase()} tag(s)${scope} candidates for deletion (${label}):`);
+            candidates.forEach(candidate => console.log(`  - ${highlight(displayName(candidate))}: ${candidate.reason} - ${formatCandidateDetails(candidate)}`));
         } else {
-            console.log(`\n[Dry Run] No local stale branches identified for deletion.`);
+            console.log(`\n[Dry Run] No ${type} ${label} tags${scope} identified for deletion.`);
         }
-        // Skip interactive selection and deletion loop in dry run
-    } else {
-        // Normal Run: Interactive Selection and Deletion
-        const localStaleSelected = await selectBranchesToDelete(localStaleToDelete, 'local', `stale (>= ${actualStaleDays} days)`, dryRun);
-        let localStaleDeletedCount = 0;
-        let localStaleFailedCount = 0;
-        if (localStaleSelected.length > 0) {
-            console.log(`Attempting deletion of ${localStaleSelected.length} selected local stale branch(es):`);
-            for (const branch of localStaleSelected) {
-                // Stale branches might already be handled if also merged, but deletion is idempotent (force delete)
-                try {
-                    runCommand(await localStaleDeleteFn(branch));
-                    console.log(`  - Deleted local stale branch: ${branch}`);
-                    localStaleDeletedCount++;
-                } catch (error) {
-                    console.error(`  - FAILED to delete local stale branch: ${branch}. Error: ${error.message}`);
-                    localStaleFailedCount++;
-                }
+        return [];
+    }
+
+    const selected = await selectBranchesToDelete(candidates, type, remote ? `${label} on '${remote}'` : label, dryRun);
+    if (selected.length === 0) {
+        console.log(`No ${type} ${label} tags${scope} selected for deletion.`);
+    }
+    return selected;
+}
+
+// Finds local-only, orphaned and stale tags, prompts for them per category and deletes the confirmed ones.
+// Returns { tagReport, exitCode }: the report printed with --json and the outcome's exit code.
+async function cleanUpTags() {
+    // Tags have their own protect patterns; branch patterns such as 'release/*' rarely make sense for them
+    const tagProtectPatterns = [...config.protectTags, ...(argv.protect || []).map(String)];
+    const tagIncludePatterns = (argv.include || []).map(String);
+    if (deleteRemote) {
+        console.log(`Remote tag cleanup enabled for ${remoteNames.map(r => `'${r}'`).join(', ')}.`);
+    }
+    if (staleEnabled) {
+        console.log(`Stale tag cleanup enabled: Tags created ${staleBefore !== undefined ? `before ${staleBefore}` : `>= ${actualStaleDays} days ago`} will be considered.`);
+    }
+    if (tagProtectPatterns.length > 0) {
+        console.log(`Protected tag patterns: ${tagProtectPatterns.join(', ')}`);
+    }
+    if (tagIncludePatterns.length > 0) {
+        console.log(`Only considering tags matching: ${tagIncludePatterns.join(', ')}`);
+    }
+
+    console.log(`\nStep 1: Comparing local tags with ${remoteNames.map(r => `'${r}'`).join(', ')}...`);
+    const analysis = await analyzeTags({
+        cwd,
+        remote: remoteNames,
+        unpushed: argv['local-only'],
+        orphaned: argv.orphaned,
+        staleDays: argv.stale !== undefined ? actualStaleDays : null,
+        staleBefore: staleBefore !== undefined ? staleBefore : null,
+        protect: tagProtectPatterns,
+        include: tagIncludePatterns,
+    });
+    analysis.warnings.forEach(warning => console.warn(`WARN: ${warning}`));
+    const remoteSets = deleteRemote ? Object.entries(analysis.remotes) : [];
+
+    // --- 2. Select tags per category ---
+    const selections = [];
+    console.log('\n--- Processing LOCAL Tags ---');
+    for (const category of Object.keys(TAG_CATEGORY_LABELS)) {
+        selections.push({ category, remote: null, candidates: await selectTagCandidates(analysis.local, category) });
+    }
+    if (remoteSets.length === 0) {
+        console.log('\nRemote tag cleanup skipped as --remote flag was not provided.');
+    }
+    for (const [remoteName, tagSet] of remoteSets) {
+        console.log(`\n--- Processing REMOTE Tags on '${remoteName}' ---`);
+        for (const category of ['orphaned', 'stale']) {
+            selections.push({ category, remote: remoteName, candidates: await selectTagCandidates(tagSet, category, remoteName) });
+        }
+    }
+
+    // --- 3. Confirm and delete ---
+    let results = [];
+    let cancelled = false;
+    if (!dryRun) {
+        if (await confirmDeletions(selections, 'tag(s)')) {
+            console.log('\nStep 3: Deleting selected tags...');
+            results = await deleteTags(selections.flatMap(selection => selection.candidates), { cwd, session: sessionId });
+        } else {
+            console.log('Deletion cancelled. No tags were deleted.');
+            cancelled = true;
+        }
+    }
+    results.forEach(result => {
+        const name = result.remote ? `${result.remote}/${result.tag}` : result.tag;
+        const label = TAG_CATEGORY_LABELS[result.category];
+        if (result.deleted) {
+            console.log(`  - Deleted ${result.type} ${label} tag: ${name}`);
+        } else {
+            console.error(`  - FAILED to delete ${result.type} ${label} tag: ${name}. Error: ${result.error}`);
+        }
+        if (result.journalError) {
+            console.warn(`    WARN: Could not record deletion of ${result.tag} in the undo journal: ${result.journalError}`);
+        }
+    });
+
+    // --- Summary ---
+    const countResults = type => ({
+        deleted: results.filter(r => r.type === type && r.deleted).length,
+        failed: results.filter(r => r.type === type && !r.deleted).length,
+    });
+    const localTotals = countResults('local');
+    const remoteTotals = countResults('remote');
+    console.log('\n--- Summary ---');
+    if (dryRun) {
+        console.log('*** Dry run complete. No tags were deleted. ***');
+    }
+    console.log(`Local tags: ${localTotals.deleted} deleted, ${localTotals.failed} failed.`);
+    if (remoteSets.length > 0) {
+        console.log(`Remote tags: ${remoteTotals.deleted} deleted, ${remoteTotals.failed} failed.`);
+    }
+    console.log('\nTag cleanup complete.');
+
+    const pickCategories = (tagSet, categories) => Object.fromEntries(categories.map(category => [category, tagSet[category]]));
+    const candidateCount = [analysis.local, ...remoteSets.map(([, tagSet]) => tagSet)]
+        .reduce((sum, tagSet) => sum + Object.keys(TAG_CATEGORY_LABELS).reduce((count, category) => count + (tagSet[category] || []).length, 0), 0);
+    const failedCount = localTotals.failed + remoteTotals.failed;
+    let exitCode = EXIT_CODES.SUCCESS;
+    let outcome = dryRun ? 'dry-run' : 'all-deleted';
+    if (dryRun ? candidateCount === 0 : results.length === 0) {
+        exitCode = EXIT_CODES.NOTHING_TO_DO;
+        outcome = cancelled ? 'cancelled' : 'nothing-to-do';
+    } else if (failedCount > 0) {
+        exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        outcome = 'some-failed';
+    }
+    const tagReport = {
+        candidates: {
+            local: pickCategories(analysis.local, Object.keys(TAG_CATEGORY_LABELS)),
+            remote: Object.fromEntries(remoteSets.map(([remoteName, tagSet]) => [remoteName, pickCategories(tagSet, ['orphaned', 'stale'])])),
+        },
+        deletions: results,
+        warnings: analysis.warnings,
+        outcome,
+        totals: { candidates: candidateCount, deleted: localTotals.deleted + remoteTotals.deleted, failed: failedCount, local: localTotals, remote: remoteTotals },
+    };
+    return { tagReport, exitCode };
+}
+
+// --- Restore Command ---
+// Helper function to get the kind of ref and name of a journal entry, e.g. ['tag', 'v1.0']
+function journalEntryRef(entry) {
+    return entry.tag !== undefined ? ['tag', entry.tag] : ['branch', entry.branch];
+}
+
+function describeJournalEntry(entry) {
+    const [kind, refName] = journalEntryRef(entry);
+    const name = entry.type === 'remote' ? `${entry.remote}/${refName}` : refName;
+    return `${name} @ ${entry.sha.substring(0, 10)} (${entry.type}${kind === 'tag' ? ' tag' : ''}, ${entry.reason})`;
+}
+
+async function restoreBranches() {
+    const sessions = groupJournalBySession(readJournal(cwd));
+    if (sessions.size === 0) {
+        console.log('No cleanup sessions recorded in the undo journal.');
+        return;
+    }
+    const sessionIds = Array.from(sessions.keys());
+
+    if (argv.list) {
+        console.log('Recorded cleanup sessions:');
+        sessionIds.forEach(id => {
+            const sessionEntries = sessions.get(id);
+            const localCount = sessionEntries.filter(e => e.type === 'local').length;
+            console.log(`\n  ${id}: ${localCount} local, ${sessionEntries.length - localCount} remote`);
+            sessionEntries.forEach(entry => console.log(`    - ${describeJournalEntry(entry)}`));
+        });
+        return;
+    }
+
+    let selectedSession = argv.session;
+    if (selectedSession === undefined && nonInteractive) {
+        throw new Error('--session is required in non-interactive mode.');
+    } else if (selectedSession === undefined) {
+        ({ selectedSession } = await prompt([
+            {
+                type: 'list',
+                name: 'selectedSession',
+                message: 'Select the cleanup session to restore from:',
+                choices: sessionIds.map(id => ({ name: `${id} (${sessions.get(id).length} branch(es))`, value: id })),
+                pageSize: 10,
+                loop: false,
+            },
+        ]));
+    } else if (!sessions.has(selectedSession)) {
+        throw new Error(`Unknown session '${selectedSession}'. Use 'cleanrepo restore --list' to see recorded sessions.`);
+    }
+
+    const sessionEntries = sessions.get(selectedSession);
+    let selectedEntries = sessionEntries;
+    if (!dryRun && !nonInteractive) {
+        const { selectedIndexes } = await prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedIndexes',
+                message: 'Select branches to restore (use arrows, space to toggle, enter to confirm):',
+                choices: sessionEntries.map((entry, index) => ({ name: describeJournalEntry(entry), value: index, checked: true })),
+                pageSize: 10,
+                loop: false,
+            },
+        ]);
+        selectedEntries = selectedIndexes.map(index => sessionEntries[index]);
+    }
+
+    let restoredCount = 0;
+    let failedCount = 0;
+    for (const entry of selectedEntries) {
+        const [kind, refName] = journalEntryRef(entry);
+        if (dryRun) {
+            const pushNote = argv.push && entry.type === 'remote' ? ` and re-push to '${entry.remote}'` : '';
+            console.log(`[Dry Run] Would restore local ${kind} ${highlight(refName)} at ${entry.sha.substring(0, 10)}${pushNote}`);
+            continue;
+        }
+        try {
+            const { created, pushed } = restoreJournalEntry(entry, { cwd, push: argv.push });
+            console.log(created
+                ? `  - Restored local ${kind}: ${refName} at ${entry.sha.substring(0, 10)}`
+                : `  - Local ${kind} ${refName} already exists at ${entry.sha.substring(0, 10)}`);
+            if (pushed) {
+                console.log(`  - Re-pushed ${kind} to remote: ${entry.remote}/${refName}`);
             }
+            restoredCount++;
+        } catch (error) {
+            console.error(`  - FAILED to restore ${describeJournalEntry(entry)}. Error: ${error.message}`);
+            failedCount++;
+        }
+    }
+
+    console.log('\n--- Summary ---');
+    if (dryRun) {
+        console.log('*** Dry run complete. No branches were restored. ***');
+    }
+    console.log(`Branches and tags: ${restoredCount} restored, ${failedCount} failed.`);
+}
+
+// --- Unarchive Command ---
+// Helper function to describe an archived branch, e.g. "feature/x @ 1a2b3c4d5e (archived 2026-01-31 as refs/archive/...)"
+function describeArchive(archive) {
+    return `${archive.branch} @ ${archive.sha.substring(0, 10)} (archived ${archive.date} as ${archive.ref})`;
+}
+
+// Lists the branches archived with --archive, or recreates the selected ones (and with --push, on the remote)
+// and removes their archive refs.
+async function restoreArchivedBranches() {
+    const include = (argv.include || []).map(String);
+    const archives = listArchivedBranches(cwd).filter(archive => !getProtectionReason(archive.branch, { include }));
+    if (archives.length === 0) {
+        console.log('No archived branches found.');
+        return;
+    }
+    if (argv.list) {
+        console.log('Archived branches:');
+        archives.forEach(archive => console.log(`  - ${describeArchive(archive)}`));
+        return;
+    }
+
+    // Remote archives only exist locally once fetched, e.g. git fetch origin 'refs/archive/*:refs/archive/*'
+    const pushRemote = argv.push ? remoteNames[0] : null;
+    let selectedArchives = archives;
+    if (!dryRun && !nonInteractive) {
+        const { selectedIndexes } = await prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedIndexes',
+                message: 'Select archived branches to restore (use arrows, space to toggle, enter to confirm):',
+                choices: archives.map((archive, index) => ({ name: describeArchive(archive), value: index, checked: false })),
+                pageSize: 10,
+                loop: false,
+            },
+        ]);
+        selectedArchives = selectedIndexes.map(index => archives[index]);
+    }
+
+    if (dryRun) {
+        selectedArchives.forEach(archive => {
+            const pushNote = pushRemote ? ` and push it to '${pushRemote}'` : '';
+            console.log(`[Dry Run] Would restore local branch ${highlight(archive.branch)} at ${archive.sha.substring(0, 10)} from ${archive.ref}${pushNote}`);
+        });
+    }
+    const results = dryRun ? [] : await unarchiveBranches(selectedArchives, { cwd, remote: pushRemote });
+    results.forEach(result => {
+        if (result.restored) {
+            console.log(`  - Restored local branch: ${result.branch} at ${result.sha.substring(0, 10)} (removed ${result.ref})`);
+            if (result.pushed) console.log(`  - Pushed branch to remote: ${pushRemote}/${result.branch}`);
         } else {
-            console.log("No local stale branches selected for deletion.");
+            console.error(`  - FAILED to restore ${result.branch} from ${result.ref}. Error: ${result.error}`);
         }
-        totalLocalDeleted += localStaleDeletedCount;
-        totalLocalFailed += localStaleFailedCount;
+    });
+
+    console.log('\n--- Summary ---');
+    if (dryRun) {
+        console.log('*** Dry run complete. No branches were restored. ***');
     }
+    const restoredCount = results.filter(result => result.restored).length;
+    console.log(`Archived branches: ${restoredCount} restored, ${results.length - restoredCount} failed.`);
+}
 
-    // --- 3. Process REMOTE Branches (if requested) ---
-    let remoteMergedToDelete = new Set(); // Store short names
-    let remoteStaleToDelete = new Set(); // Store short names
-    let handledRemoteBranches = new Set();
-    let remoteBranchTips = new Map(); // Initialize here
+// --- Gitignore Command ---
+// Helper function to summarise the committed files an ignore pattern matches, e.g. "2 tracked file(s): a.log, b.log"
+function describeTrackedFiles(files) {
+    const examples = files.slice(0, 3).join(', ');
+    return `${files.length} tracked file(s): ${examples}${files.length > 3 ? ', ...' : ''}`;
+}
+
+// Proposes per-stack ignore sections, appends the selected ones to .gitignore and offers to untrack committed
+// files matching them. Returns { path, stacks, suggested, added, tracked, untracked, failed } for the JSON report.
+async function runGitignoreDoctor() {
+    console.log('\n*** GITIGNORE DOCTOR ***');
+    const analysis = await analyzeGitignore({ cwd });
+    const stackLabels = analysis.stacks.map(id => STACK_TEMPLATES.find(template => template.id === id).label);
+    console.log(stackLabels.length > 0
+        ? `Detected stacks: ${stackLabels.join(', ')}`
+        : 'No known stacks detected; only checking for editor, OS and other common files.');
+
+    const entries = analysis.sections.flatMap(section => section.patterns);
+    const gitignoreReport = {
+        path: analysis.path,
+        stacks: analysis.stacks,
+        suggested: entries.map(entry => entry.pattern),
+        added: [],
+        tracked: entries.flatMap(entry => entry.tracked),
+        untracked: [],
+        failed: [],
+    };
+    if (entries.length === 0) {
+        console.log('\n✔ .gitignore already contains every suggested pattern.');
+        return gitignoreReport;
+    }
+
+    console.log(`\n${dryRun ? '[Dry Run] Would add' : 'Suggested'} ${entries.length} entr${entries.length > 1 ? 'ies' : 'y'} for ${analysis.path}:`);
+    analysis.sections.forEach(section => {
+        console.log(`\n  # ${section.label}`);
+        section.patterns.forEach(entry => {
+            const trackedNote = entry.tracked.length > 0 ? warnText(` (${describeTrackedFiles(entry.tracked)})`) : '';
+            console.log(`  ${entry.pattern}${trackedNote}`);
+        });
+    });
+    if (dryRun) {
+        if (gitignoreReport.tracked.length > 0) {
+            console.log(`\n[Dry Run] Would offer to untrack ${gitignoreReport.tracked.length} committed file(s) matching these patterns (git rm --cached).`);
+        }
+        return gitignoreReport;
+    }
+
+    // 1. Choose the patterns to add
+    let selectedPatterns = gitignoreReport.suggested;
+    if (!nonInteractive) {
+        ({ selectedPatterns } = await prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedPatterns',
+                message: 'Select patterns to add to .gitignore (use arrows, space to toggle, enter to confirm):',
+                choices: analysis.sections.flatMap(section => [
+                    new inquirer.Separator(`# ${section.label}`),
+                    ...section.patterns.map(entry => ({
+                        name: entry.tracked.length > 0 ? `${entry.pattern} (${describeTrackedFiles(entry.tracked)})` : entry.pattern,
+                        value: entry.pattern,
+                        checked: true,
+                    })),
+                ]),
+                pageSize: 15,
+                loop: false,
+            },
+        ]));
+    } else {
+        console.log(`\nNon-interactive mode: selecting all ${selectedPatterns.length} pattern(s).`);
+    }
+    const selectedSections = analysis.sections.map(section => ({
+        ...section,
+        patterns: section.patterns.filter(entry => selectedPatterns.includes(entry.pattern)),
+    }));
+
+    // 2. Choose which already committed files to untrack
+    const trackedEntries = selectedSections.flatMap(section => section.patterns).filter(entry => entry.tracked.length > 0);
+    let untrackPatterns = trackedEntries.map(entry => entry.pattern);
+    if (trackedEntries.length > 0 && !nonInteractive) {
+        ({ untrackPatterns } = await prompt([
+            {
+                type: 'checkbox',
+                name: 'untrackPatterns',
+                message: 'These patterns match committed files, which stay tracked until removed from the index. Select patterns whose files to untrack (git rm --cached, files stay on disk):',
+                choices: trackedEntries.map(entry => ({ name: `${entry.pattern}: ${describeTrackedFiles(entry.tracked)}`, value: entry.pattern, checked: true })),
+                pageSize: 10,
+                loop: false,
+            },
+        ]));
+    }
+
+    // 3. Apply
+    gitignoreReport.added = await writeGitignoreSections(selectedSections, { cwd });
+    if (gitignoreReport.added.length > 0) {
+        console.log(`\n✔ Added ${gitignoreReport.added.length} entr${gitignoreReport.added.length > 1 ? 'ies' : 'y'} to .gitignore.`);
+    } else {
+        console.log('\nNo patterns selected; .gitignore left unchanged.');
+    }
+    const filesToUntrack = trackedEntries.filter(entry => untrackPatterns.includes(entry.pattern)).flatMap(entry => entry.tracked);
+    if (filesToUntrack.length > 0) {
+        const results = await untrackFiles(filesToUntrack, { cwd });
+        gitignoreReport.untracked = results.filter(result => result.untracked).map(result => result.file);
+        gitignoreReport.failed = results.filter(result => !result.untracked).map(({ file, error }) => ({ file, error }));
+        gitignoreReport.failed.forEach(({ file, error }) => console.error(`  - FAILED to untrack ${file}. Error: ${error}`));
+        if (gitignoreReport.untracked.length > 0) {
+            console.log(`✔ Untracked ${gitignoreReport.untracked.length} file(s). Commit the staged removals to stop tracking them.`);
+        }
+    }
+    return gitignoreReport;
+}
 
+// --- Report Command ---
+// Writes the branch health report (see lib/report.js) of the current repository, using the same analysis as the
+// branch cleanup. Nothing is deleted. Returns { report, changes } for the JSON output.
+async function writeBranchReport() {
+    const format = argv.format || (argv.output && /\.html?$/i.test(argv.output) ? 'html' : 'markdown');
+    // Read the previous report first, so an unreadable one fails before the analysis. A missing one is fine on
+    // the first run of a job that always compares with its last report.
+    const comparePath = argv.compare ? path.resolve(cwd, argv.compare) : null;
+    let previous = null;
+    if (comparePath && !fs.existsSync(comparePath)) {
+        console.warn(`WARN: No previous report at '${argv.compare}'; the report shows no changes.`);
+    } else if (comparePath) {
+        previous = readBranchReport(comparePath);
+    }
+
+    console.log(`Using base branch${baseBranches.length > 1 ? 'es' : ''}: ${baseBranches.join(', ')}${detectedBase ? ` (${detectedBase.source === 'fallback' ? 'default' : `detected from ${detectedBase.source}`})` : ''}`);
     if (deleteRemote) {
-        console.log("\n--- Processing REMOTE Branches ---");
-        const remoteBaseBranch = `${remoteName}/${baseBranch}`;
+        const configuredRemotes = listRemotes(cwd);
+        remoteNames.filter(r => !configuredRemotes.includes(r)).forEach(r => console.warn(`WARN: Skipping unknown remote '${r}'.`));
+        remoteNames = remoteNames.filter(r => configuredRemotes.includes(r));
+        console.log(`Fetching ${remoteNames.map(r => `'${r}'`).join(', ')}...`);
+        for (const remoteName of remoteNames) {
+            runGit(['fetch', '--prune', '--', remoteName], { cwd });
+        }
+    }
+    // The stale category is always reported, with the default threshold unless -s or --stale-before is given
+    const analysis = await analyzeBranches({
+        cwd,
+        base: baseBranches,
+        remote: deleteRemote ? remoteNames : null,
+        staleDays: staleBefore !== undefined ? null : actualStaleDays,
+        staleBefore: staleBefore !== undefined ? staleBefore : null,
+        staleBy,
+        gone: argv.gone,
+        protect: protectPatterns,
+        include: includePatterns,
+        authors: authorPatterns,
+        excludeAuthors: excludeAuthorPatterns,
+        pullRequests: getPullRequestOptions(config, remoteNames),
+    });
+    [...analysis.warnings, ...analysis.local.warnings, ...Object.values(analysis.remotes).flatMap(r => r.warnings)]
+        .forEach(warning => console.warn(`WARN: ${warning}`));
 
-        // --- 3a. Check REMOTE branches MERGED into remote base ---
-        console.log(`\nStep 3a: Checking REMOTE branches merged into '${remoteBaseBranch}'...`);
-        remoteBranchTips = getBranchTipMap(true); // Get remote tips map
+    const branchReport = buildBranchReport(analysis, { stale: `${staleInactivity} by ${STALE_DATE_SOURCES[staleBy]}` });
+    const changes = previous ? compareBranchReports(previous, branchReport) : null;
+    const rendered = renderBranchReport(branchReport, { format, changes, diverged: argv.diverged, top: argv.top });
+    if (argv.output) {
+        fs.writeFileSync(path.resolve(cwd, argv.output), rendered, 'utf8');
+        console.log(`${REPORT_FORMATS[format]} report on ${branchReport.branches.length} branch(es) written to ${argv.output}.`);
+    } else if (reportToStdout) {
+        process.stdout.write(rendered);
+    }
+    if (changes) {
+        console.log(`Since ${changes.previousGeneratedAt.substring(0, 10)}: ${changes.added.length} new, ${changes.removed.length} removed and ${changes.changed.length} changed branch(es).`);
+    }
+    return { report: branchReport, changes };
+}
+
+// --- Housekeeping Command ---
+// Age of the reflog entries --expire-reflog expires when given without a number (git's own gc.reflogExpire default)
+const DEFAULT_REFLOG_EXPIRE_DAYS = 90;
+
+// Helper function to format a size in bytes for display (e.g. '12.3 MiB')
+function formatSize(bytes) {
+    const units = ['KiB', 'MiB', 'GiB'];
+    if (bytes < 1024) return `${bytes} bytes`;
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Helper function to describe a stash in lists and prompts
+function describeStash(stash) {
+    return `${stash.ref} (${new Date(stash.date).toLocaleDateString()}, on ${stash.branch ? highlight(stash.branch) : 'a detached HEAD'}): ${stash.message}`;
+}
+
+// Offers old stashes for dropping, optionally expires reflogs and compacts the object store, and reports the size
+// of .git before and after. Returns { housekeepingReport, exitCode }: the report printed with --json and the
+// outcome's exit code.
+async function runHousekeeping() {
+    const expireReflog = argv['expire-reflog'];
+    const reflogDays = expireReflog === undefined ? null : (expireReflog === true || expireReflog === '' ? DEFAULT_REFLOG_EXPIRE_DAYS : parseInt(expireReflog, 10));
+    const gcMode = argv.gc !== undefined ? (argv.gc || 'gc') : null;
+    const cutoff = staleBefore !== undefined ? new Date(staleBefore) : new Date(Date.now() - actualStaleDays * 24 * 60 * 60 * 1000);
+    const housekeepingReport = {
+        stashes: { cutoff: cutoff.toISOString(), candidates: [], drops: [] },
+        reflog: null,
+        gc: null,
+        size: { before: getGitDirSize(cwd), after: null },
+    };
+
+    console.log(`\nStep 1: Size of .git: ${formatSize(housekeepingReport.size.before)}`);
+
+    // --- 2. Old stashes ---
+    console.log(`\nStep 2: Checking for stashes created ${staleBefore !== undefined ? `before ${staleBefore}` : `>= ${actualStaleDays} days ago`}...`);
+    const stashes = listStashes(cwd);
+    const candidates = stashes.filter(stash => new Date(stash.date) <= cutoff);
+    housekeepingReport.stashes.candidates = candidates;
+    let cancelled = false;
+    if (candidates.length === 0) {
+        console.log(`No old stashes found (${stashes.length} stash(es) in total).`);
+    } else if (dryRun) {
+        console.log(`[Dry Run] Found ${candidates.length} of ${stashes.length} stash(es) to drop:`);
+        candidates.forEach(stash => console.log(`  - ${describeStash(stash)}`));
+    } else {
+        let selected = candidates;
+        if (nonInteractive) {
+            console.log(`Non-interactive mode: selecting all ${candidates.length} old stash(es).`);
+        } else {
+            const { selectedStashes } = await prompt([
+                {
+                    type: 'checkbox',
+                    name: 'selectedStashes',
+                    message: `Select stashes to drop (${candidates.length} of ${stashes.length} are old enough; use arrows, space to toggle, enter to confirm):`,
+                    choices: candidates.map(stash => ({ name: describeStash(stash), value: stash.ref, checked: true })),
+                    pageSize: 10,
+                    loop: false,
+                },
+            ]);
+            selected = candidates.filter(stash => selectedStashes.includes(stash.ref));
+            if (selected.length === 0) {
+                console.log('No stashes selected for dropping.');
+            } else {
+                const { confirmed } = await prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirmed',
+                        message: `Drop these ${selected.length} stash(es)?`,
+                        default: false,
+                    },
+                ]);
+                if (!confirmed) {
+                    console.log('Cancelled. No stashes were dropped.');
+                    selected = [];
+                    cancelled = true;
+                }
+            }
+        }
+        housekeepingReport.stashes.drops = dropStashes(selected, { cwd });
+        housekeepingReport.stashes.drops.forEach(result => {
+            if (result.dropped) {
+                console.log(`  - Dropped ${result.ref}: ${result.message} (commit ${result.sha})`);
+            } else {
+                console.error(`  - FAILED to drop ${result.ref}: ${result.message}. Error: ${result.error}`);
+            }
+        });
+    }
+
+    // --- 3. Reflogs (if requested) ---
+    if (reflogDays !== null) {
+        console.log(`\nStep 3: ${dryRun ? '[Dry Run] Checking' : 'Expiring'} reflog entries older than ${reflogDays} days (the stash is kept)...`);
+        housekeepingReport.reflog = { days: reflogDays, expired: 0, error: null };
         try {
-            runCommand(`git show-ref --verify --quiet refs/remotes/${remoteBaseBranch}`); // Verify remote base exists
-
-            // New logic: Find branches whose tips match merged commits
-            const directlyMergedHashesRemote = getDirectlyMergedCommitHashes(baseBranch, true);
-            remoteBranchTips.forEach((commitHash, branchName) => {
-                 // Check hash exists, not the base branch itself
-                 if (directlyMergedHashesRemote.has(commitHash) && branchName !== baseBranch) {
-                     remoteMergedToDelete.add(branchName);
-                 }
-             });
+            housekeepingReport.reflog.expired = expireReflogs(reflogDays, { cwd, dryRun });
+            console.log(`${dryRun ? '[Dry Run] Would expire' : 'Expired'} ${housekeepingReport.reflog.expired} reflog entr${housekeepingReport.reflog.expired === 1 ? 'y' : 'ies'}.`);
         } catch (error) {
-            console.warn(`Skipping remote merged check: Could not verify remote base branch '${remoteBaseBranch}' or get branches. Error: ${error.message}`);
+            housekeepingReport.reflog.error = getErrorDetail(error);
+            console.error(`FAILED to expire reflog entries. Error: ${housekeepingReport.reflog.error}`);
         }
+    }
 
-        // --- 3b. Check REMOTE branches STALE (if requested) ---
-        if (argv.stale !== undefined && deleteRemote) { // Check if the -s flag was passed and remote is enabled
-            console.log(`\nStep 3b: Checking REMOTE branches inactive for >= ${actualStaleDays} days...`);
-            const staleThreshold = (Date.now() / 1000) - (actualStaleDays * 24 * 60 * 60); // In seconds
-
+    // --- 4. Garbage collection (if requested) ---
+    if (gcMode) {
+        console.log(`\nStep 4: ${dryRun ? '[Dry Run] Would run' : 'Running'} '${GC_MODES[gcMode]}'...`);
+        housekeepingReport.gc = { mode: gcMode, ran: false, error: null };
+        if (!dryRun) {
             try {
-                 const remoteBaseBranchRef = `refs/remotes/${remoteName}/${baseBranch}`;
-                // Get all remote branches, excluding the base branch pointer
-                const allRemoteBranchesOutput = runCommand(`git branch -r`);
-                const allRemoteBranches = allRemoteBranchesOutput.split('\n')
-                    .map(line => line.trim())
-                    .filter(branch => branch && branch.startsWith(`${remoteName}/`) && branch !== remoteBaseBranchRef);
-
-                for (const fullBranchName of allRemoteBranches) {
-                     const shortBranchName = fullBranchName.substring(remoteName.length + 1);
-                    // Skip if already handled as merged OR if it's the base branch
-                    if (shortBranchName === baseBranch || handledRemoteBranches.has(shortBranchName)) {
-                        continue;
-                    }
+                collectGarbage(gcMode, { cwd });
+                housekeepingReport.gc.ran = true;
+            } catch (error) {
+                housekeepingReport.gc.error = getErrorDetail(error);
+                console.error(`FAILED to run '${GC_MODES[gcMode]}'. Error: ${housekeepingReport.gc.error}`);
+            }
+        }
+    }
 
-                    const commitTimestamp = getBranchCommitTimestamp(fullBranchName); // Use full name for timestamp
-                    if (commitTimestamp > 0) {
-
-                        const isStale = commitTimestamp <= staleThreshold; // Use <= for comparison
-
-                        // Only add to stale list if NOT already marked as merged
-                        if (isStale && !remoteMergedToDelete.has(shortBranchName)) {
-                            const inactiveDate = new Date(commitTimestamp * 1000).toLocaleDateString();
-                            // Apply dry-run prefix and color codes correctly
-                            const branchDisplayName = `\x1b[1;32m${fullBranchName}\x1b[0m`; // Use full name for display
-                            const logMsg = ` - Found stale remote branch: ${branchDisplayName} (inactive since ${inactiveDate})`;
-                            if (dryRun) {
-                                console.log(`[Dry Run]${logMsg}`);
-                            } else {
-                                console.log(logMsg);
-                            }
-                            remoteStaleToDelete.add(shortBranchName); // Add the short name for deletion
-                            handledRemoteBranches.add(shortBranchName); // Mark as handled
-                        }
-                    } else if (commitTimestamp === 0) {
-                        console.warn(` - Could not get timestamp for remote branch ${shortBranchName}. Skipping stale check for it.`);
-                    }
-                 }
-            } catch(error){
-                 console.warn(`Skipping remote stale check: Could not get remote branches. Error: ${error.message}`);
+    // --- Summary ---
+    const { before } = housekeepingReport.size;
+    const after = dryRun ? before : getGitDirSize(cwd);
+    housekeepingReport.size.after = after;
+    const drops = housekeepingReport.stashes.drops;
+    const droppedCount = drops.filter(result => result.dropped).length;
+    const failedCount = drops.length - droppedCount
+        + (housekeepingReport.reflog && housekeepingReport.reflog.error ? 1 : 0)
+        + (housekeepingReport.gc && housekeepingReport.gc.error ? 1 : 0);
+    console.log('\n--- Summary ---');
+    if (dryRun) {
+        console.log('*** Dry run complete. Nothing was changed. ***');
+    } else {
+        console.log(`Stashes: ${droppedCount} dropped, ${drops.length - droppedCount} failed.`);
+    }
+    const change = after - before;
+    console.log(`Size of .git: ${formatSize(before)}${dryRun ? '' : ` -> ${formatSize(after)} (${change <= 0 ? `${formatSize(-change)} freed` : `${formatSize(change)} more`})`}`);
+    console.log('\nHousekeeping complete.');
+
+    const reflogCount = housekeepingReport.reflog ? housekeepingReport.reflog.expired : 0;
+    const actionCount = dryRun
+        ? candidates.length + reflogCount + (gcMode ? 1 : 0)
+        : droppedCount + reflogCount + (housekeepingReport.gc && housekeepingReport.gc.ran ? 1 : 0);
+    let exitCode = EXIT_CODES.SUCCESS;
+    let outcome = dryRun ? 'dry-run' : 'done';
+    if (failedCount > 0) {
+        exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        outcome = 'some-failed';
+    } else if (actionCount === 0) {
+        exitCode = EXIT_CODES.NOTHING_TO_DO;
+        outcome = cancelled ? 'cancelled' : 'nothing-to-do';
+    }
+    housekeepingReport.outcome = outcome;
+    return { housekeepingReport, exitCode };
+}
+
+// --- Hooks Command ---
+// Installs, removes or lists the git hooks of lib/hooks.js, or (`hooks run`) runs the cleanup an installed hook
+// starts. Returns { hooksReport, exitCode }: the report printed with --json and the outcome's exit code.
+async function runHooksCommand() {
+    const hooks = argv.hook || [];
+
+    if (argv.action === 'install') {
+        const results = installHooks(hooks.length > 0 ? hooks : DEFAULT_HOOKS, { cwd, interval: argv.interval, dryRun });
+        results.forEach(result => {
+            if (result.error) {
+                console.error(`FAILED to install the ${result.hook} hook. Error: ${result.error}`);
+                return;
             }
+            const verb = dryRun ? '[Dry Run] Would install' : (result.updated ? 'Updated' : 'Installed');
+            console.log(`${verb} the ${result.hook} hook at ${result.path}${result.chained ? ` (runs your existing hook, kept as ${path.basename(result.path)}.cleanrepo-chained, first)` : ''}.`);
+        });
+        const hooksPath = runGit(['config', 'core.hooksPath'], { cwd, ignoreError: true });
+        if (hooksPath) {
+            console.warn(`WARN: core.hooksPath is set to '${hooksPath}', so the hooks are installed there and apply to every repository using it.`);
         }
+        if (results.some(result => result.installed)) {
+            const interval = argv.interval > 0 ? `at most once every ${argv.interval} hour(s)` : 'every time';
+            console.log(`\nMerged local branches will be deleted after ${baseBranches.join(', ')} is pulled or checked out, ${interval}. Undo with 'cleanrepo restore'.`);
+        }
+        const failed = results.filter(result => result.error).length;
+        return { hooksReport: { action: 'install', results }, exitCode: failed > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS };
+    }
 
-        // --- 3c. Perform REMOTE Deletions ---
-        if (dryRun) {
-            if (remoteMergedToDelete.size > 0) {
-                console.log(`\n[Dry Run] Found ${remoteMergedToDelete.size} REMOTE branch(es) candidates for deletion (merged):`);
-                remoteMergedToDelete.forEach(branch => console.log(`  - \x1b[1;32m${remoteName}/${branch}\x1b[0m`)); // Bold Green branch name
-            } else {
-                console.log(`\n[Dry Run] No remote merged branches identified for deletion.`);
+    if (argv.action === 'uninstall') {
+        const results = uninstallHooks(hooks.length > 0 ? hooks : undefined, { cwd, dryRun });
+        results.forEach(result => {
+            if (result.error) {
+                console.error(`FAILED to uninstall the ${result.hook} hook. Error: ${result.error}`);
+            } else if (result.removed) {
+                console.log(`${dryRun ? '[Dry Run] Would remove' : 'Removed'} the ${result.hook} hook${result.restored ? ` and ${dryRun ? 'restore' : 'restored'} the hook it ran first` : ''}.`);
             }
-            // Skip interactive selection and deletion loop in dry run
-        } else {
-            // Normal Run: Interactive Selection and Deletion
-            const remoteMergedSelected = await selectBranchesToDelete(remoteMergedToDelete, 'remote', 'merged', dryRun);
-            let remoteMergedDeletedCount = 0;
-            let remoteMergedFailedCount = 0;
-            if (remoteMergedSelected.length > 0) {
-                console.log(`Attempting deletion of ${remoteMergedSelected.length} selected remote merged branch(es):`);
-                for (const branch of remoteMergedSelected) {
-                    handledRemoteBranches.add(branch); // Mark as handled
-                    try {
-                        runCommand(await remoteDeleteFn(branch));
-                        console.log(`  - Deleted remote merged branch: ${remoteName}/${branch}`);
-                        remoteMergedDeletedCount++;
-                    } catch (error) {
-                        console.error(`  - FAILED to delete remote merged branch: ${remoteName}/${branch}. Error: ${error.message}`);
-                        remoteMergedFailedCount++;
-                    }
-                }
-            } else {
-                console.log("No remote merged branches selected for deletion.");
+        });
+        const removed = results.filter(result => result.removed).length;
+        const failed = results.filter(result => result.error).length;
+        if (removed === 0 && failed === 0) {
+            console.log('No cleanrepo hooks installed.');
+        }
+        let exitCode = EXIT_CODES.SUCCESS;
+        if (failed > 0) {
+            exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        } else if (removed === 0) {
+            exitCode = EXIT_CODES.NOTHING_TO_DO;
+        }
+        return { hooksReport: { action: 'uninstall', results }, exitCode };
+    }
+
+    if (argv.action === 'status') {
+        const status = getHookStatus(cwd);
+        const state = readHookState(cwd);
+        status.forEach(entry => {
+            let description = 'not installed';
+            if (entry.installed) {
+                description = `installed${entry.chained ? ' (runs the existing hook first)' : ''}`;
+            } else if (entry.other) {
+                description = 'not installed (another hook is in place)';
             }
-            totalRemoteDeleted += remoteMergedDeletedCount;
-            totalRemoteFailed += remoteMergedFailedCount;
+            console.log(`${entry.hook}: ${description}`);
+        });
+        if (state) {
+            console.log(`\nLast cleanup: ${new Date(state.lastRun).toLocaleString()} (${state.hook}), ${state.deleted.length} branch(es) deleted${state.deleted.length > 0 ? `: ${state.deleted.join(', ')}` : ''}.`);
+            if (state.failed.length > 0) {
+                console.log(`Failed: ${state.failed.map(failure => failure.branch).join(', ')}`);
+            }
+        } else {
+            console.log('\nNo cleanup has run from a hook yet.');
         }
+        return { hooksReport: { action: 'status', hooks: status, lastRun: state }, exitCode: EXIT_CODES.SUCCESS };
+    }
 
+    // `hooks run <hook>`: console.log is silenced (see above), so only the outcome is printed, on stderr. A hook
+    // never fails the git command that ran it, so errors are reported and the exit code stays 0.
+    const hookReport = { action: 'run', hook: hooks[0], ran: false, deleted: [], failed: [] };
+    try {
+        // Only updates of a base branch clean up: checking out or pulling a feature branch leaves branches alone
+        const currentBranch = getCurrentBranch(cwd);
+        if (!currentBranch || resolveBases(baseBranches, [currentBranch]).bases.length === 0) {
+            return { hooksReport: hookReport, exitCode: EXIT_CODES.SUCCESS };
+        }
+        if (!dryRun && !claimHookRun(hookReport.hook, argv.interval, { cwd })) {
+            return { hooksReport: hookReport, exitCode: EXIT_CODES.SUCCESS };
+        }
+        hookReport.ran = true;
+        // Only branches merged into the base are deleted: they are safe to delete without asking
+        const analysis = await analyzeBranches({
+            cwd,
+            base: baseBranches,
+            gone: false,
+            protect: protectPatterns,
+            include: includePatterns,
+            authors: authorPatterns,
+            excludeAuthors: excludeAuthorPatterns,
+        });
+        const candidates = analysis.local.merged;
         if (dryRun) {
-             if (remoteStaleToDelete.size > 0) {
-                 console.log(`\n[Dry Run] Found ${remoteStaleToDelete.size} REMOTE branch(es) candidates for deletion (stale >= ${actualStaleDays} days):`);
-                 remoteStaleToDelete.forEach(branch => console.log(`  - \x1b[1;32m${remoteName}/${branch}\x1b[0m`)); // Bold Green branch name
-             } else {
-                 console.log(`\n[Dry Run] No remote stale branches identified for deletion.`);
-             }
-             // Skip interactive selection and deletion loop in dry run
-        } else {
-            // Normal Run: Interactive Selection and Deletion
-            const remoteStaleSelected = await selectBranchesToDelete(remoteStaleToDelete, 'remote', `stale (>= ${actualStaleDays} days)`, dryRun);
-            let remoteStaleDeletedCount = 0;
-            let remoteStaleFailedCount = 0;
-            if (remoteStaleSelected.length > 0) {
-                console.log(`Attempting deletion of ${remoteStaleSelected.length} selected remote stale branch(es):`);
-                for (const branch of remoteStaleSelected) {
-                    try {
-                        runCommand(await remoteDeleteFn(branch));
-                        console.log(`  - Deleted remote stale branch: ${remoteName}/${branch}`);
-                        remoteStaleDeletedCount++;
-                    } catch (error) {
-                        console.error(`  - FAILED to delete remote stale branch: ${remoteName}/${branch}. Error: ${error.message}`);
-                        remoteStaleFailedCount++;
-                    }
-                }
+            hookReport.deleted = candidates.map(candidate => candidate.branch);
+            if (candidates.length > 0) {
+                console.error(`[Dry Run] cleanrepo: would delete ${candidates.length} merged branch(es): ${hookReport.deleted.join(', ')}`);
+            }
+            return { hooksReport: hookReport, exitCode: EXIT_CODES.SUCCESS };
+        }
+        const results = await deleteBranches(candidates, { cwd, session: sessionId });
+        recordHookRun(results, { cwd });
+        hookReport.deleted = results.filter(result => result.deleted).map(result => result.branch);
+        hookReport.failed = results.filter(result => !result.deleted).map(result => ({ branch: result.branch, error: result.error }));
+        if (hookReport.deleted.length > 0) {
+            console.error(`cleanrepo: deleted ${hookReport.deleted.length} merged branch(es): ${hookReport.deleted.join(', ')}. Undo with 'cleanrepo restore'.`);
+        }
+        hookReport.failed.forEach(failure => console.error(`cleanrepo: FAILED to delete ${failure.branch}. Error: ${failure.error}`));
+    } catch (error) {
+        hookReport.error = getErrorDetail(error);
+        console.error(`cleanrepo: merged branch cleanup failed. Error: ${hookReport.error}`);
+    }
+    return { hooksReport: hookReport, exitCode: EXIT_CODES.SUCCESS };
+}
+
+// --- Main Logic ---
+const sessionId = new Date().toISOString(); // Identifies all deletions made by this run in the undo journal
+
+(async () => {
+  let totalLocalDeleted = 0;
+  let totalLocalFailed = 0;
+  const localDeletedByCategory = { merged: 0, closed: 0, gone: 0, stale: 0 };
+  const remoteTotalsByName = new Map(); // remote name -> { deleted, failed }
+
+  // Structured report printed on stdout with --json
+  const report = {
+    dryRun,
+    base: baseBranch,
+    bases: baseBranches,
+    archive: archiveMode,
+    candidates: { local: { merged: [], closed: [], gone: [], stale: [] }, remote: {} },
+    deletions: [],
+  };
+
+  try {
+    if (command === 'restore') {
+        await restoreBranches();
+        return;
+    }
+    if (command === 'unarchive') {
+        await restoreArchivedBranches();
+        return;
+    }
+    if (command === 'tags') {
+        const { tagReport, exitCode } = await cleanUpTags();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify({ dryRun, tags: tagReport }, null, 2) + '\n');
+        }
+        if (nonInteractive || jsonOutput) {
+            process.exitCode = exitCode;
+        }
+        return;
+    }
+    if (command === 'housekeeping') {
+        const { housekeepingReport, exitCode } = await runHousekeeping();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify({ dryRun, housekeeping: housekeepingReport }, null, 2) + '\n');
+        }
+        if (nonInteractive || jsonOutput) {
+            process.exitCode = exitCode;
+        }
+        return;
+    }
+    if (command === 'hooks') {
+        const { hooksReport, exitCode } = await runHooksCommand();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify({ dryRun, hooks: hooksReport }, null, 2) + '\n');
+        }
+        if (nonInteractive || jsonOutput) {
+            process.exitCode = exitCode;
+        }
+        return;
+    }
+    if (command === 'report') {
+        const branchReport = await writeBranchReport();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify(branchReport, null, 2) + '\n');
+        }
+        return;
+    }
+    if (command === 'gitignore') {
+        const gitignoreReport = await runGitignoreDoctor();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify({ dryRun, gitignore: gitignoreReport }, null, 2) + '\n');
+        }
+        if (nonInteractive || jsonOutput) {
+            if (gitignoreReport.failed.length > 0) {
+                process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
             } else {
-                 console.log("No remote stale branches selected for deletion.");
+                process.exitCode = gitignoreReport.suggested.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.NOTHING_TO_DO;
             }
-            totalRemoteDeleted += remoteStaleDeletedCount;
-            totalRemoteFailed += remoteStaleFailedCount;
         }
+        return;
+    }
+    if (argv.workspace) {
+        const { workspaceReport, exitCode } = await cleanUpWorkspace();
+        if (jsonOutput) {
+            process.stdout.write(JSON.stringify({ dryRun, workspace: workspaceReport }, null, 2) + '\n');
+        }
+        if (nonInteractive || jsonOutput) {
+            process.exitCode = exitCode;
+        }
+        return;
+    }
 
-        // --- 4. Final Prune (if remote deletions occurred) ---
-        if (!dryRun && (totalRemoteDeleted > 0 || totalRemoteFailed > 0)) { // Prune if deletes happened or failed attempts might leave refs
-            console.log('\nStep 4: Pruning remote-tracking branches after remote operations...');
-            runCommand(`git fetch ${remoteName} --prune`);
-        } else {
-            console.log('\nStep 4: No remote branches deleted or deletion attempts made, skipping final prune.');
+    // 1. Initial Prune
+    console.log('\nStep 1: Pruning remote-tracking branches...');
+    const configuredRemotes = listRemotes(cwd);
+    const unknownRemotes = remoteNames.filter(r => !configuredRemotes.includes(r));
+    if (deleteRemote && unknownRemotes.length > 0) {
+        console.warn(`WARN: Skipping unknown remote(s): ${unknownRemotes.join(', ')}`);
+    }
+    remoteNames = remoteNames.filter(r => configuredRemotes.includes(r));
+    for (const remoteName of remoteNames) {
+        runGit(['fetch', '--prune', '--', remoteName], { cwd });
+    }
+
+    const analysisOptions = {
+        cwd,
+        base: baseBranches,
+        remote: deleteRemote ? remoteNames : null,
+        staleDays: argv.stale !== undefined ? actualStaleDays : null,
+        staleBefore: staleBefore !== undefined ? staleBefore : null,
+        staleBy,
+        gone: argv.gone,
+        protect: protectPatterns,
+        include: includePatterns,
+        authors: authorPatterns,
+        excludeAuthors: excludeAuthorPatterns,
+        pullRequests: getPullRequestOptions(config, remoteNames),
+    };
+    let analysis = await analyzeBranches(analysisOptions);
+    report.hosting = analysis.hosting;
+    if (analysis.hosting) {
+        console.log(`Checking pull requests of '${analysis.hosting.project}' at ${analysis.hosting.baseUrl}.`);
+    }
+    analysis.warnings.forEach(warning => console.warn(`WARN: ${warning}`));
+
+    // --- 1b. Worktrees holding merged/stale branches ---
+    report.worktrees = { candidates: analysis.worktrees.candidates, prunable: analysis.worktrees.prunable, removals: [] };
+    if (argv.worktrees) {
+        console.log('\nStep 1b: Checking worktrees of merged/stale branches...');
+        report.worktrees.removals = await cleanUpWorktrees(analysis.worktrees);
+        // Branches freed by removed or pruned worktrees become candidates themselves
+        if (report.worktrees.removals.some(r => r.removed) || (!dryRun && analysis.worktrees.prunable.length > 0)) {
+            analysis = await analyzeBranches(analysisOptions);
+        }
+    } else if (analysis.worktrees.candidates.length > 0 || analysis.worktrees.prunable.length > 0) {
+        console.log(`\nNote: ${analysis.worktrees.candidates.length} worktree(s) hold merged/stale branches and ${analysis.worktrees.prunable.length} point to missing directories. Use --worktrees to clean them up.`);
+    }
+
+    // --- 2. Process LOCAL Branches ---
+    console.log("\n--- Processing LOCAL Branches ---");
+    report.candidates.local.merged = analysis.local.merged;
+    report.candidates.local.closed = analysis.local.closed;
+    report.candidates.local.gone = analysis.local.gone;
+    report.candidates.local.stale = analysis.local.stale;
+
+    // --- 2a. Check LOCAL branches MERGED into local base ---
+    const localBases = analysis.local.bases.length > 0 ? analysis.local.bases : baseBranches;
+    console.log(`\nStep 2a: Checking LOCAL branches merged into local ${localBases.map(base => `'${base}'`).join(', ')}...`);
+    console.log(`Current local branch: ${analysis.currentBranch}`);
+    analysis.local.warnings.forEach(warning => console.warn(warning));
+    logFoundCandidates(analysis.local, 'merged');
+
+    // --- 2b. Check LOCAL branches' PULL REQUESTS (if enabled) ---
+    if (analysis.hosting) {
+        console.log('\nStep 2b: Checking pull requests of LOCAL branches...');
+        logFoundCandidates(analysis.local, 'open');
+        logFoundCandidates(analysis.local, 'closed');
+    }
+
+    // --- 2c. Check LOCAL branches whose UPSTREAM is GONE (unless disabled) ---
+    if (argv.gone) {
+        console.log('\nStep 2c: Checking LOCAL branches whose upstream branch is gone...');
+        logFoundCandidates(analysis.local, 'gone');
+    }
+
+    // --- 2d. Check LOCAL branches STALE (if requested) ---
+    if (staleEnabled) {
+        console.log(`\nStep 2d: Checking LOCAL branches inactive ${staleInactivity}...`);
+        logFoundCandidates(analysis.local, 'stale');
+    }
+
+    // --- 2e. Select LOCAL branches to delete ---
+    const selections = []; // { category, remote, candidates } chosen in the prompts, deleted after confirmation
+    let cancelled = false;
+    const localCategories = ['merged', ...(analysis.hosting ? ['closed'] : []), ...(argv.gone ? ['gone'] : []), 'stale'];
+    for (const category of localCategories) {
+        selections.push({ category, remote: null, candidates: await selectCandidates(analysis.local[category], category) });
+    }
+
+    // --- 3. Process REMOTE Branches (if requested) ---
+    if (deleteRemote) {
+      for (const remoteName of remoteNames) {
+        console.log(`\n--- Processing REMOTE Branches on '${remoteName}' ---`);
+        const remoteAnalysis = analysis.remotes[remoteName];
+        remoteTotalsByName.set(remoteName, { deleted: 0, failed: 0 });
+        report.candidates.remote[remoteName] = { merged: remoteAnalysis.merged, closed: remoteAnalysis.closed, stale: remoteAnalysis.stale };
+        const checkPullRequests = Boolean(analysis.hosting) && analysis.hosting.remote === remoteName;
+
+        // --- 3a. Check REMOTE branches MERGED into remote base ---
+        const remoteBases = remoteAnalysis.bases.length > 0 ? remoteAnalysis.bases : baseBranches.map(base => `${remoteName}/${base}`);
+        console.log(`\nStep 3a: Checking REMOTE branches merged into ${remoteBases.map(base => `'${base}'`).join(', ')}...`);
+        remoteAnalysis.warnings.forEach(warning => console.warn(warning));
+        logFoundCandidates(remoteAnalysis, 'merged', remoteName);
+
+        // --- 3b. Check REMOTE branches' PULL REQUESTS (if enabled, on the hosting remote) ---
+        if (checkPullRequests) {
+            console.log(`\nStep 3b: Checking pull requests of REMOTE branches on '${remoteName}'...`);
+            logFoundCandidates(remoteAnalysis, 'open', remoteName);
+            logFoundCandidates(remoteAnalysis, 'closed', remoteName);
+        }
+
+        // --- 3c. Check REMOTE branches STALE (if requested) ---
+        if (staleEnabled) {
+            console.log(`\nStep 3c: Checking REMOTE branches on '${remoteName}' inactive ${staleInactivity}...`);
+            logFoundCandidates(remoteAnalysis, 'stale', remoteName);
         }
+
+        // --- 3d. Select REMOTE branches to delete ---
+        for (const category of ['merged', ...(checkPullRequests ? ['closed'] : []), 'stale']) {
+            selections.push({ category, remote: remoteName, candidates: await selectCandidates(remoteAnalysis[category], category, remoteName) });
+        }
+      }
     } else {
-        console.log("\nSteps 3 & 4: Remote cleanup skipped as --remote flag was not provided.");
+        console.log("\nStep 3: Remote cleanup skipped as --remote flag was not provided.");
     }
 
+    // --- 4. Confirm and perform all deletions ---
+    if (!dryRun) {
+        console.log(`\nStep 4: ${archiveMode ? 'Archiving' : 'Deleting'} selected branches...`);
+        if (!(await confirmDeletions(selections, 'branch(es)', Boolean(archiveMode)))) {
+            console.log('Deletion cancelled. No branches were deleted.');
+            cancelled = true;
+            selections.length = 0;
+        }
+    }
+    const resultsBySelection = await deleteSelections(selections);
+    selections.forEach((selection, index) => {
+        const results = resultsBySelection[index];
+        report.deletions.push(...results);
+        const deleted = results.filter(r => r.deleted).length;
+        const failed = results.length - deleted;
+        if (selection.remote) {
+            const remoteTotals = remoteTotalsByName.get(selection.remote);
+            remoteTotals.deleted += deleted;
+            remoteTotals.failed += failed;
+        } else {
+            localDeletedByCategory[selection.category] += deleted;
+            totalLocalDeleted += deleted;
+            totalLocalFailed += failed;
+        }
+    });
+
+    // --- 5. Final Prune (if remote deletions occurred) ---
+    remoteTotalsByName.forEach((remoteTotals, remoteName) => {
+        if (!dryRun && (remoteTotals.deleted > 0 || remoteTotals.failed > 0)) { // Prune if deletes happened or failed attempts might leave refs
+            console.log(`\nStep 5: Pruning remote-tracking branches of '${remoteName}' after remote operations...`);
+            runGit(['fetch', '--prune', '--', remoteName], { cwd });
+        } else {
+            console.log(`\nStep 5: No branches deleted on '${remoteName}' or deletion attempts made, skipping final prune.`);
+        }
+    });
+
     // --- 7. Summary ---
     console.log('\n--- Summary ---');
     if (dryRun) {
         console.log('*** Dry run complete. No branches were deleted. ***');
     }
-    console.log(`Local branches: ${totalLocalDeleted} deleted, ${totalLocalFailed} failed.`);
+    const removed = archiveMode ? 'archived' : 'deleted';
+    console.log(`Local branches: ${totalLocalDeleted} ${removed}, ${totalLocalFailed} failed.`);
+    console.log(`  merged: ${localDeletedByCategory.merged}${analysis.hosting ? `, closed PR: ${localDeletedByCategory.closed}` : ''}${argv.gone ? `, upstream gone: ${localDeletedByCategory.gone}` : ''}, stale: ${localDeletedByCategory.stale} ${removed}.`);
     if (deleteRemote) {
-      console.log(`Remote branches ('${remoteName}'): ${totalRemoteDeleted} deleted, ${totalRemoteFailed} failed.`);
+      remoteTotalsByName.forEach((totals, remoteName) => {
+        console.log(`Remote branches ('${remoteName}'): ${totals.deleted} ${removed}, ${totals.failed} failed.`);
+      });
     } else {
       console.log('Remote branch cleanup was not enabled (--remote).');
     }
     console.log('\nCleanup complete.');
 
+    // Totals and outcome for the JSON report and exit code
+    const candidateCount = Object.values(report.candidates.local).reduce((sum, candidates) => sum + candidates.length, 0) +
+        Object.values(report.candidates.remote).reduce((sum, remote) => sum + remote.merged.length + remote.closed.length + remote.stale.length, 0);
+    const deletedCount = report.deletions.filter(d => d.deleted).length;
+    const failedCount = report.deletions.length - deletedCount;
+    let exitCode = EXIT_CODES.SUCCESS;
+    let outcome = dryRun ? 'dry-run' : 'all-deleted';
+    if (dryRun ? candidateCount === 0 : report.deletions.length === 0) {
+        exitCode = EXIT_CODES.NOTHING_TO_DO;
+        outcome = cancelled ? 'cancelled' : 'nothing-to-do';
+    } else if (failedCount > 0) {
+        exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        outcome = 'some-failed';
+    }
+    report.outcome = outcome;
+    report.totals = {
+        candidates: candidateCount,
+        deleted: deletedCount,
+        failed: failedCount,
+        local: { deleted: totalLocalDeleted, failed: totalLocalFailed, byCategory: localDeletedByCategory },
+        remote: Object.fromEntries(remoteTotalsByName),
+    };
+
     if (argv.gitignore) {
-        console.log('*** GITIGNORE DOCTOR ***')
-        //TODO
-        // define ignore extensions/patterns
-        // detect patters
-        // make file or find it
-        // insert entries into the gitignore
-        // define common ignore patterns
-        const DEFAULT_IGNORE_PATTERNS = [
-            // Editor directories and files
-            '.vscode/',
-            '.idea/',
-            '*.suo',
-            '*.user',
-            '*.lock-wscript',
-    
-            // Editor swap / backup
-            '*~',
-            '*.swp',
-            '*.tmp',
-    
-            // Logs
-            'npm-debug.log*',
-            'yarn-debug.log*',
-            'yarn-error.log*',
-            'debug.log*',
-    
-            // OS generated
-            '.DS_Store',
-            'Thumbs.db',
-    
-            // Node/npm
-            'node_modules/',
-            'package-lock.json',
-            'yarn.lock',
-            '.pnpm-store/',
-    
-            // Python
-            '__pycache__/',
-            '*.py[cod]',
-            '*.egg-info/',
-    
-            // Java / JVM
-            '*.class',
-            'target/',
-            '*.jar',
-            '*.war',
-            '*.ear',
-    
-            // C/C++
-            '*.o',
-            '*.obj',
-            '*.exe',
-            '*.out',
-            '*.so',
-            '*.dll',
-    
-            // Go
-            'vendor/',
-            '*.test',
-            '*.exe',
-    
-            // Rust
-            'target/',
-    
-            // Build outputs
-            'dist/',
-            'build/',
-            'coverage/',
-            '.nyc_output/',
-    
-            // Cache
-            '.cache/',
-            '.terraform/',
-            '.vagrant/',
-    
-            // Environment
-            '.env',
-        ];
-        // detect which of these patterns actually exist in the repo
-        const glob = require('glob');
-        const cwd = process.cwd();
-        const matchingPatterns = DEFAULT_IGNORE_PATTERNS.filter(pattern => {
-            const searchPattern = `**/${pattern}`;
-            return glob.sync(searchPattern, {
-                cwd,
-                dot: true,
-                nocase: true,
-                nodir: false
-            }).length > 0;
-        });
+        report.gitignore = await runGitignoreDoctor();
+    }
 
-        if (matchingPatterns.length === 0) {
-            console.log('No common ignore patterns found in the repository.');
-        } else {
-            console.log('Found these patterns to add to .gitignore:');
-            matchingPatterns.forEach(pat => console.log(`  - ${pat}`));
-        }
-        // --- Next: read or create .gitignore ---
-        const fs = require('fs');
-        const path = require('path');
-        const gitignorePath = path.join(cwd, '.gitignore');
-
-        let existingEntries = [];
-        if (fs.existsSync(gitignorePath)) {
-            existingEntries = fs
-            .readFileSync(gitignorePath, 'utf8')
-            .split(/\r?\n/)
-            .map(line => line.trim())
-            .filter(Boolean);
-        } else {
-            fs.writeFileSync(gitignorePath, '', 'utf8');
-            console.log('Created new .gitignore file.');
-        }
-        const patternsToAdd = matchingPatterns.filter(pat => !existingEntries.includes(pat));
-        if (patternsToAdd.length > 0) {
-            // ensure there's a blank line before our additions
-            const prefix = existingEntries.length > 0 ? '\n' : '';
-            const toAppend = prefix + patternsToAdd.join('\n') + '\n';
-            fs.appendFileSync(gitignorePath, toAppend, 'utf8');
-    
-            console.log(`\n✔ Added ${patternsToAdd.length} entr${patternsToAdd.length > 1 ? 'ies' : 'y'} to .gitignore:`);
-            patternsToAdd.forEach(pat => console.log(`  - ${pat}`));
-        } else {
-            console.log('\n✔ All detected patterns are already present in .gitignore.');
-        }
+    if (jsonOutput) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    }
+    // Outcome-specific exit codes only apply to scripted runs; interactive runs keep exiting with 0
+    if (nonInteractive || jsonOutput) {
+        process.exitCode = exitCode;
     }
 
   } catch (error) {
     console.error('\nAn unrecoverable error occurred during execution:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    if (jsonOutput) {
+        process.stdout.write(JSON.stringify({ error: error.message }, null, 2) + '\n');
+    }
+    process.exit(EXIT_CODES.ERROR);
   }
 })(); // End async IIFE
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Programmatic API for cleanrepo. Requiring this module has no side effects; the `cleanrepo`
+// CLI (cli.js) is a thin wrapper around these functions.
+//
+//   const { analyzeBranches, deleteBranches } = require('@rohitkatakam/cleanrepo');
+//   const analysis = await analyzeBranches({ cwd: '/path/to/repo', base: 'main', remote: 'origin', staleDays: 90 });
+//   const results = await deleteBranches(analysis.local.merged, { cwd: '/path/to/repo' });
+
+const { analyzeBranches } = require('./lib/analyze');
+const { detectDefaultBranch } = require('./lib/base');
+const { deleteBranches } = require('./lib/delete');
+const { ARCHIVE_MODES, archiveBranches, listArchivedBranches, unarchiveBranches } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { MERGE_STRATEGY_LABELS } = require('./lib/merge-detection');
+const { STALE_DATE_SOURCES } = require('./lib/refs');
+const { readJournal, groupJournalBySession, restoreJournalEntry } = require('./lib/journal');
+const { listWorktrees, removeWorktrees, pruneWorktrees } = require('./lib/worktrees');
+const { TAG_CATEGORY_LABELS, analyzeTags, deleteTags } = require('./lib/tags');
+const { findRepositories } = require('./lib/workspace');
+const { HOSTING_PROVIDERS } = require('./lib/hosting');
+const { GC_MODES, listStashes, dropStashes, expireReflogs, collectGarbage, getGitDirSize } = require('./lib/housekeeping');
+const { HOOK_CONDITIONS, installHooks, uninstallHooks, getHookStatus, readHookState } = require('./lib/hooks');
+const { REPORT_FORMATS, REPORT_CATEGORIES, buildBranchReport, compareBranchReports, readBranchReport, renderBranchReport } = require('./lib/report');
+const { STACK_TEMPLATES, detectStacks, analyzeGitignore, writeGitignoreSections, untrackFiles } = require('./lib/gitignore');
+
+module.exports = {
+    analyzeBranches,
+    detectDefaultBranch,
+    deleteBranches,
+    archiveBranches,
+    listArchivedBranches,
+    unarchiveBranches,
+    loadConfig,
+    readJournal,
+    groupJournalBySession,
+    restoreJournalEntry,
+    listWorktrees,
+    removeWorktrees,
+    pruneWorktrees,
+    analyzeTags,
+    deleteTags,
+    findRepositories,
+    detectStacks,
+    analyzeGitignore,
+    writeGitignoreSections,
+    untrackFiles,
+    listStashes,
+    dropStashes,
+    expireReflogs,
+    collectGarbage,
+    getGitDirSize,
+    installHooks,
+    uninstallHooks,
+    getHookStatus,
+    readHookState,
+    buildBranchReport,
+    compareBranchReports,
+    readBranchReport,
+    renderBranchReport,
+    ARCHIVE_MODES,
+    GC_MODES,
+    HOOK_CONDITIONS,
+    HOSTING_PROVIDERS,
+    MERGE_STRATEGY_LABELS,
+    REPORT_CATEGORIES,
+    REPORT_FORMATS,
+    STALE_DATE_SOURCES,
+    STACK_TEMPLATES,
+    TAG_CATEGORY_LABELS,
+};
@@ -0,0 +1,427 @@
+const { runGit, listRemotes, getCurrentBranch } = require('./git');
+const { STALE_DATE_SOURCES, getBranchRefs, getReflogActivityMap, getBranchAuthorsMap, getAheadBehindMap, getRefPrefix } = require('./refs');
+const { MERGE_STRATEGY_LABELS, detectMergedBranches } = require('./merge-detection');
+const { getProtectionReason, getAuthorFilterReason } = require('./filters');
+const { classifyStaleBranches } = require('./safety');
+const { assertValidBases, detectDefaultBranch, resolveBases } = require('./base');
+const { listWorktrees, getCheckedOutBranches, isWorktreeClean, isSamePath } = require('./worktrees');
+const { createHostingClient, getPullRequestStatuses } = require('./hosting');
+const { getErrorDetail } = require('./delete');
+
+// Helper function to build a candidate entry from a branch and its metadata (see getBranchRefs)
+function createCandidate(branch, type, remote, category, reason, details, extra = {}) {
+    return {
+        branch,
+        type,
+        remote,
+        category,
+        reason,
+        sha: details.sha,
+        lastCommitDate: details.date,
+        author: details.author,
+        upstream: details.upstream,
+        upstreamStatus: details.upstreamStatus,
+        ...extra,
+    };
+}
+
+// Analyses one set of branches (local when remote is null, otherwise that remote's branches) against
+// the branches of that set matching `basePatterns` (names or glob patterns). Returns { base, bases, merged,
+// closed, gone, stale, protected, warnings }: `bases` are the matching bases (e.g. 'origin/main'), `base` the first
+// of them; `gone` (local branches whose upstream was deleted) is only filled for local branches when `gone` is
+// enabled. A branch merged into any base is merged; the bases themselves are never candidates.
+// `stale` enables the stale check: { threshold, by, cutoff } with the threshold in Unix seconds, the date
+// source (see STALE_DATE_SOURCES) and a description of the cutoff for reasons (e.g. '>= 90 days ago').
+// `checkedOutBranches` maps local branches checked out in a worktree to that worktree's path;
+// those are never candidates since git refuses to delete them.
+// `patchIdCache` is passed to detectMergedBranches (see lib/merge-detection.js), so every set shares the patch-ids.
+// `pullRequests` maps branches to their pull request (see getPullRequestStatuses in lib/hosting.js): branches
+// with an open pull request are protected, and a merged or closed pull request makes its branch merged or
+// `closed` as long as the branch tip is still the pull request's head.
+function analyzeBranchSet(cwd, { remote, basePatterns, stale = null, gone = false, filters, skipBranches, checkedOutBranches = new Map(), pullRequests = new Map(), patchIdCache = new Map() }) {
+    const type = remote ? 'remote' : 'local';
+    const refPrefix = getRefPrefix(remote);
+    // One for-each-ref pass provides the tips, dates and upstreams used by every check below
+    const branchRefs = getBranchRefs(cwd, remote);
+    const branchTips = new Map([...branchRefs].map(([branch, details]) => [branch, details.sha]));
+    const { bases, missing } = resolveBases(basePatterns, branchRefs.keys());
+    const baseSet = new Set(bases);
+    const fullBases = bases.map(base => (remote ? `${remote}/${base}` : base));
+    const primaryBase = fullBases[0] || null; // Judges safety and ahead/behind of candidates not merged into a specific base
+    const result = { base: primaryBase, bases: fullBases, merged: [], closed: [], gone: [], stale: [], protected: [], warnings: [] };
+    if (fullBases.length > 0) {
+        missing.forEach(entry => result.warnings.push(`No ${type} branch matches base '${remote ? `${remote}/` : ''}${entry}'.`));
+    }
+
+    // Helper to read (once, in one pass for all of them) the authors of the commits unique to branches, most frequent first
+    const authorsCache = new Map();
+    const loadAuthors = branches => {
+        const missing = new Map(branches.filter(branch => !authorsCache.has(branch)).map(branch => [`${refPrefix}${branch}`, branchRefs.get(branch)]));
+        if (missing.size === 0) return;
+        const authorsByRef = primaryBase ? getBranchAuthorsMap(cwd, missing, fullBases) : null;
+        missing.forEach((details, ref) => {
+            authorsCache.set(ref.substring(refPrefix.length), authorsByRef ? authorsByRef.get(ref) : [details.author]);
+        });
+    };
+    const filterByAuthor = (filters.authors || []).length > 0 || (filters.excludeAuthors || []).length > 0;
+    const getAuthors = branch => {
+        // The author filters check most branches, so all of them are read at once
+        loadAuthors(filterByAuthor ? [...branchRefs.keys()].filter(name => !baseSet.has(name)) : [branch]);
+        return authorsCache.get(branch);
+    };
+
+    // Helper to check a candidate against the protect/include patterns and author filters, remembering why it was skipped
+    const isProtected = (branch, category) => {
+        const worktreePath = checkedOutBranches.get(branch);
+        if (worktreePath) {
+            result.protected.push({ branch, type, remote, category, reason: `checked out in worktree '${worktreePath}'`, worktree: worktreePath });
+            return true;
+        }
+        const reason = getProtectionReason(branch, filters);
+        if (reason) {
+            result.protected.push({ branch, type, remote, category, reason });
+            return true;
+        }
+        const authorReason = filterByAuthor ? getAuthorFilterReason(getAuthors(branch), filters) : null;
+        if (authorReason) {
+            result.protected.push({ branch, type, remote, category, reason: authorReason, byAuthor: true });
+            return true;
+        }
+        return false;
+    };
+
+    // --- Open pull request check ---
+    // A branch with an open pull request is still in use, whatever git says about it
+    const openBranches = new Set();
+    pullRequests.forEach((pullRequest, branch) => {
+        if (pullRequest.state !== 'open' || baseSet.has(branch)) return;
+        openBranches.add(branch);
+        result.protected.push({ branch, type, remote, category: 'open', reason: `open pull request #${pullRequest.number}`, pullRequest });
+    });
+    // Helper to check whether a merged or closed pull request still describes a branch: commits pushed
+    // after it was merged or closed would otherwise be lost
+    const isPullRequestHead = (branch, pullRequest) => {
+        if (pullRequest.headSha === branchTips.get(branch)) return true;
+        result.warnings.push(`Ignoring ${pullRequest.state} pull request #${pullRequest.number} of ${type} branch ${remote ? `${remote}/` : ''}${branch}: the branch has commits that are not in it.`);
+        return false;
+    };
+
+    // --- Merged check ---
+    const mergedBranches = new Set();
+    if (fullBases.length === 0) {
+        const wanted = basePatterns.map(entry => `'${remote ? `${remote}/` : ''}${entry}'`).join(', ');
+        result.warnings.push(`Skipping ${type} merged check: No ${type} branch matches base ${wanted}.`);
+    } else {
+        try {
+            // Find branches merged by merge commit, rebase or squash into each base in turn (skipping the bases
+            // themselves); a branch is attributed to the first base it was found merged into
+            fullBases.forEach(fullBase => {
+                const mergeInfo = detectMergedBranches(cwd, fullBase, branchTips, new Set([...bases, ...skipBranches, ...openBranches, ...mergedBranches]), { patchIdCache });
+                mergeInfo.forEach((info, branch) => {
+                    mergedBranches.add(branch);
+                    if (isProtected(branch, 'merged')) return;
+                    const strategyLabel = MERGE_STRATEGY_LABELS[info.strategy];
+                    const reason = fullBases.length > 1 ? `merged into '${fullBase}' (${strategyLabel})` : `merged (${strategyLabel})`;
+                    result.merged.push(createCandidate(branch, type, remote, 'merged', reason, branchRefs.get(branch), {
+                        strategy: info.strategy,
+                        sha: info.commitHash,
+                        base: fullBase,
+                    }));
+                });
+            });
+        } catch (error) {
+            result.warnings.push(`Skipping ${type} merged check: Could not get branches. Error: ${error.message}`);
+        }
+    }
+    // Branches whose pull request was merged, e.g. squashed with edits git cannot recognise
+    pullRequests.forEach((pullRequest, branch) => {
+        if (pullRequest.state !== 'merged' || mergedBranches.has(branch) || baseSet.has(branch) || skipBranches.includes(branch)) return;
+        if (!isPullRequestHead(branch, pullRequest)) return;
+        mergedBranches.add(branch);
+        if (isProtected(branch, 'merged')) return;
+        result.merged.push(createCandidate(branch, type, remote, 'merged', `merged (pull request #${pullRequest.number})`, branchRefs.get(branch), {
+            strategy: 'pull-request',
+            base: primaryBase,
+        }));
+    });
+
+    // --- Closed pull request check ---
+    const closedBranches = new Set();
+    pullRequests.forEach((pullRequest, branch) => {
+        if (pullRequest.state !== 'closed' || mergedBranches.has(branch) || baseSet.has(branch) || skipBranches.includes(branch)) return;
+        if (!isPullRequestHead(branch, pullRequest)) return;
+        closedBranches.add(branch);
+        if (isProtected(branch, 'closed')) return;
+        result.closed.push(createCandidate(branch, type, remote, 'closed', `pull request #${pullRequest.number} closed without merging`, branchRefs.get(branch), {
+            base: primaryBase,
+            safety: null, // Classified below, for all candidates at once
+        }));
+    });
+
+    // --- Upstream gone check (local only) ---
+    const goneBranches = new Set();
+    if (gone && !remote) {
+        branchRefs.forEach((details, branch) => {
+            // Skip the base branches, branches with an open pull request and branches already found to be merged or closed
+            if (details.upstreamStatus !== 'gone' || baseSet.has(branch) || openBranches.has(branch) || mergedBranches.has(branch) || closedBranches.has(branch)) return;
+            goneBranches.add(branch);
+            if (isProtected(branch, 'gone')) return;
+            result.gone.push(createCandidate(branch, type, remote, 'gone', `upstream '${details.upstream}' is gone`, details, {
+                base: primaryBase,
+                safety: null, // Classified below, for all candidates at once
+            }));
+        });
+    }
+
+    // --- Stale check (if requested) ---
+    if (stale) {
+        // Remote-tracking reflogs only record fetches, so remote branches fall back to the committer date
+        let reflogActivity = new Map();
+        if (stale.by === 'reflog' && !remote) {
+            try {
+                reflogActivity = getReflogActivityMap(cwd);
+            } catch (error) {
+                result.warnings.push(`Could not read the reflogs, judging ${type} branches by committer date instead: ${getErrorDetail(error)}`);
+            }
+        }
+
+        for (const [branch, details] of branchRefs) {
+            // Skip the base branches, branches with an open pull request and branches already found to be merged,
+            // closed or upstream-gone
+            if (baseSet.has(branch) || openBranches.has(branch) || mergedBranches.has(branch) || closedBranches.has(branch) || goneBranches.has(branch)) {
+                continue;
+            }
+
+            // Pick the date staleness is judged by; branches without reflog entries fall back to the committer date
+            const staleDateSource = stale.by === 'reflog' && !reflogActivity.has(branch) ? 'committer' : stale.by;
+            const staleTimestamp = { committer: details.timestamp, author: details.authorTimestamp, reflog: reflogActivity.get(branch) }[staleDateSource];
+            if (!(staleTimestamp > 0)) {
+                result.warnings.push(`Could not get timestamp for ${type} branch ${remote ? `${remote}/` : ''}${branch}. Skipping stale check for it.`);
+                continue;
+            }
+
+            const isStale = staleTimestamp <= stale.threshold; // Use <= for comparison
+            if (isStale && !isProtected(branch, 'stale')) {
+                result.stale.push(createCandidate(branch, type, remote, 'stale', `stale (${STALE_DATE_SOURCES[staleDateSource]} ${stale.cutoff})`, details, {
+                    staleDate: new Date(staleTimestamp * 1000).toISOString(),
+                    staleDateSource,
+                    base: primaryBase,
+                    safety: null, // Classified below, for all candidates at once
+                }));
+            }
+        }
+    }
+
+    // Whether deleting a candidate that is not known to be merged could lose work
+    const unmergedCandidates = [...result.closed, ...result.gone, ...result.stale];
+    if (unmergedCandidates.length > 0) {
+        const tips = new Map(unmergedCandidates.map(candidate => [`${refPrefix}${candidate.branch}`, candidate.sha]));
+        const safety = classifyStaleBranches(cwd, tips, fullBases, remote);
+        unmergedCandidates.forEach(candidate => {
+            candidate.safety = safety.get(`${refPrefix}${candidate.branch}`);
+        });
+    }
+
+    // Position relative to the candidate's base and the owning authors, shown next to each candidate. Both are
+    // read in one pass (per base) for all candidates.
+    const candidates = [...result.merged, ...result.closed, ...result.gone, ...result.stale];
+    loadAuthors(candidates.map(candidate => candidate.branch));
+    const aheadBehindByBase = new Map();
+    new Set(candidates.map(candidate => candidate.base).filter(Boolean)).forEach(base => {
+        const refs = candidates.filter(candidate => candidate.base === base).map(candidate => `${refPrefix}${candidate.branch}`);
+        aheadBehindByBase.set(base, getAheadBehindMap(cwd, refs, base));
+    });
+    candidates.forEach(candidate => {
+        const authors = authorsCache.get(candidate.branch);
+        const aheadBehind = candidate.base ? aheadBehindByBase.get(candidate.base).get(`${refPrefix}${candidate.branch}`) : { ahead: null, behind: null };
+        Object.assign(candidate, aheadBehind, {
+            owner: authors[0] || null,
+            authors,
+        });
+        if (pullRequests.has(candidate.branch)) candidate.pullRequest = pullRequests.get(candidate.branch);
+    });
+    return result;
+}
+
+// Helper function to look up the pull requests of one set of branches (see analyzeBranchSet) with a hosting
+// client, skipping the bases and `skipBranches`. Local branches tracking a branch of the hosting remote are
+// looked up by that branch's name. Returns the map of branch to pull request; lookup errors become warnings.
+async function getBranchSetPullRequests(cwd, client, { remote, basePatterns, skipBranches, warnings }) {
+    const branchRefs = getBranchRefs(cwd, remote);
+    const { bases } = resolveBases(basePatterns, branchRefs.keys());
+    const upstreamPrefix = `${client.remote}/`;
+    const hostBranches = new Map();
+    branchRefs.forEach((details, branch) => {
+        if (bases.includes(branch) || skipBranches.includes(branch)) return;
+        const tracksHost = !remote && details.upstream && details.upstream.startsWith(upstreamPrefix);
+        hostBranches.set(branch, tracksHost ? details.upstream.substring(upstreamPrefix.length) : branch);
+    });
+    const { statuses, error } = await getPullRequestStatuses(client, hostBranches);
+    if (error) {
+        warnings.push(`Could not get all pull requests from ${client.label}, judging the remaining ${remote ? `'${remote}'` : 'local'} branches by git alone: ${error}`);
+    }
+    return statuses;
+}
+
+// Analyses the repository at `cwd` and returns the categorised deletion candidates.
+// Options:
+//   cwd       - repository working directory (defaults to process.cwd())
+//   base      - base branch name, glob pattern (e.g. 'release/*') or a list of them used for the merged check;
+//               a branch merged into any matching branch is merged. Default: the default branch detected from
+//               refs/remotes/<remote>/HEAD or init.defaultBranch (see detectDefaultBranch in lib/base.js)
+//   remote    - remote name or list of remote names to analyse as well (default: local only)
+//   staleDays - flag branches with no activity in this many days as stale (default: stale check off)
+//   staleBefore - flag branches with no activity since this date (Date or date string) as stale instead
+//   staleBy   - date judged for staleness: 'committer' (default), 'author' or 'reflog' (last checkout or
+//               commit according to the reflogs; remote branches and branches without reflog entries
+//               fall back to the committer date)
+//   gone      - flag local branches whose configured upstream branch no longer exists (default true)
+//   protect   - glob patterns of branches that are never candidates
+//   include   - if non-empty, only branches matching one of these glob patterns are candidates
+//   authors   - if non-empty, only branches whose unique commits were all written by authors matching one of
+//               these patterns are candidates (case-insensitive substring of "Name <email>")
+//   excludeAuthors - branches with a unique commit by an author matching one of these patterns are skipped
+//   fetch     - run `git fetch <remote> --prune` for each analysed remote first (default false)
+//   pullRequests - look up the pull requests of branches on the code host: true, or the options of
+//               createHostingClient in lib/hosting.js (provider, remote, baseUrl, project, tokenEnv, cacheTtl).
+//               Local branches and the branches of the hosting remote (default 'origin') are checked.
+//               Default: off
+// Returns { cwd, base, basePatterns, baseSource, currentBranch, local, remotes, worktrees, warnings }: `basePatterns`
+// are the base names and patterns used, `base` the first of them and `baseSource` 'option' or where the detected
+// default branch came from. `local` and each entry of `remotes` list the matching bases in `bases` (see analyzeBranchSet).
+// Every candidate is { branch, type, remote, category, reason, sha, lastCommitDate, author, ahead, behind, base,
+// upstream, upstreamStatus, owner, authors }: `base` is the base a merged branch was found merged into (the first
+// base for other candidates), `ahead`/`behind` count commits relative to it, `upstream` and
+// `upstreamStatus` (see getBranchRefs in lib/refs.js) describe a local branch's tracking branch (null otherwise).
+// `authors` lists the authors of the branch's commits that are not in the base (the tip commit's author if there
+// are none), most frequent first; `owner` is the first of them.
+// Merged candidates also carry the matching `strategy` ('pull-request' when only the pull request shows it);
+// closed, stale and upstream-gone candidates a `safety` classification (see lib/safety.js) telling whether
+// deleting them could lose work. Stale candidates also carry the `staleDate` they were judged by and its
+// `staleDateSource`. Candidates with a pull request carry it as `pullRequest` ({ number, state, headSha, url,
+// title, updatedAt }). `hosting` describes the code host used ({ provider, baseUrl, project, remote }, or null).
+// Local branches checked out in any worktree are listed under `local.protected` instead. `worktrees`
+// holds { candidates, prunable }: the linked worktrees whose branch is merged or stale
+// ({ path, branch, category, clean, locked }) and those whose directory no longer exists ({ path, reason }).
+async function analyzeBranches({
+    cwd = process.cwd(),
+    base = null,
+    remote = null,
+    staleDays = null,
+    staleBefore = null,
+    staleBy = 'committer',
+    gone = true,
+    protect = [],
+    include = [],
+    authors = [],
+    excludeAuthors = [],
+    fetch = false,
+    pullRequests = null,
+} = {}) {
+    const filters = { protect, include, authors, excludeAuthors };
+    const basePatterns = base === null || base === undefined ? null : [...new Set([].concat(base))];
+    if (basePatterns) assertValidBases(basePatterns);
+    if (!STALE_DATE_SOURCES[staleBy]) {
+        throw new Error(`Unknown staleBy '${staleBy}' (expected one of: ${Object.keys(STALE_DATE_SOURCES).join(', ')})`);
+    }
+    let stale = null;
+    if (staleBefore !== null && staleBefore !== undefined) {
+        const cutoffDate = new Date(staleBefore);
+        if (isNaN(cutoffDate.getTime())) throw new Error(`Invalid staleBefore date '${staleBefore}'`);
+        stale = { threshold: cutoffDate.getTime() / 1000, by: staleBy, cutoff: `before ${cutoffDate.toISOString().substring(0, 10)}` };
+    } else if (staleDays !== null && staleDays !== undefined) {
+        stale = { threshold: (Date.now() / 1000) - (staleDays * 24 * 60 * 60), by: staleBy, cutoff: `>= ${staleDays} days ago` }; // In seconds
+    }
+    const requestedRemotes = remote ? [...new Set([].concat(remote))] : [];
+    const configuredRemotes = listRemotes(cwd);
+    const warnings = [];
+
+    const unknownRemotes = requestedRemotes.filter(r => !configuredRemotes.includes(r));
+    if (unknownRemotes.length > 0) {
+        warnings.push(`Skipping unknown remote(s): ${unknownRemotes.join(', ')}`);
+    }
+    const remotes = requestedRemotes.filter(r => configuredRemotes.includes(r));
+
+    if (fetch) {
+        remotes.forEach(remoteName => runGit(['fetch', '--prune', '--', remoteName], { cwd }));
+    }
+
+    // Without an explicit base, the remote's default branch (or init.defaultBranch) is the base
+    const defaultBranch = basePatterns ? null : detectDefaultBranch(cwd, remotes.length > 0 ? remotes : null);
+    const bases = basePatterns || [defaultBranch.branch];
+
+    const currentBranch = getCurrentBranch(cwd);
+    const worktreeList = listWorktrees(cwd);
+    const patchIdCache = new Map(); // Local and remote bases mostly share their history
+
+    // Pull requests of the local branches and of the hosting remote's branches, looked up before the git checks
+    const hostingClient = pullRequests ? createHostingClient(cwd, pullRequests === true ? {} : pullRequests) : null;
+    const localPullRequests = hostingClient
+        ? await getBranchSetPullRequests(cwd, hostingClient, { remote: null, basePatterns: bases, skipBranches: [currentBranch], warnings })
+        : new Map();
+
+    const analysis = {
+        cwd,
+        base: bases[0],
+        basePatterns: bases,
+        baseSource: defaultBranch ? defaultBranch.source : 'option',
+        currentBranch,
+        local: analyzeBranchSet(cwd, {
+            remote: null,
+            basePatterns: bases,
+            stale,
+            gone,
+            filters,
+            skipBranches: [currentBranch],
+            checkedOutBranches: getCheckedOutBranches(worktreeList),
+            pullRequests: localPullRequests,
+            patchIdCache,
+        }),
+        remotes: {},
+        worktrees: { candidates: [], prunable: [] },
+        hosting: hostingClient
+            ? { provider: hostingClient.provider, baseUrl: hostingClient.baseUrl, project: hostingClient.project, remote: hostingClient.remote }
+            : null,
+        warnings,
+    };
+
+    // Linked worktrees whose branch would otherwise be a candidate may be removed to free the branch.
+    // The main worktree and the one we are running in are never offered.
+    const currentWorktree = runGit(['rev-parse', '--show-toplevel'], { cwd, ignoreError: true });
+    const worktreesByPath = new Map(worktreeList.map(worktree => [worktree.path, worktree]));
+    analysis.local.protected.filter(entry => entry.worktree).forEach(entry => {
+        const worktree = worktreesByPath.get(entry.worktree);
+        if (worktree === worktreeList[0] || worktree.prunable || (currentWorktree && isSamePath(worktree.path, currentWorktree))) return;
+        analysis.worktrees.candidates.push({
+            path: worktree.path,
+            branch: entry.branch,
+            category: entry.category,
+            clean: isWorktreeClean(worktree.path),
+            locked: worktree.locked,
+        });
+    });
+    analysis.worktrees.prunable = worktreeList
+        .filter(worktree => worktree.prunable)
+        .map(worktree => ({ path: worktree.path, reason: worktree.prunable }));
+
+    for (const remoteName of remotes) {
+        // Other remotes (e.g. forks) belong to other projects on the host
+        const remotePullRequests = hostingClient && remoteName === hostingClient.remote
+            ? await getBranchSetPullRequests(cwd, hostingClient, { remote: remoteName, basePatterns: bases, skipBranches: [], warnings })
+            : new Map();
+        analysis.remotes[remoteName] = analyzeBranchSet(cwd, {
+            remote: remoteName,
+            basePatterns: bases,
+            stale,
+            filters,
+            skipBranches: [],
+            pullRequests: remotePullRequests,
+            patchIdCache,
+        });
+    }
+    return analysis;
+}
+
+module.exports = {
+    analyzeBranches,
+};
@@ -0,0 +1,190 @@
+const { runGit, assertValidRefName } = require('./git');
+const { getErrorDetail, pushRefspecs, deleteBranches } = require('./delete');
+
+// Namespaces archived branches are kept in. Hidden refs are not fetched, listed by `git branch` or offered
+// for cleanup, but keep their commits from being garbage collected; archive tags travel with `git fetch --tags`.
+const ARCHIVE_REF_PREFIX = 'refs/archive/';
+const ARCHIVE_TAG_PREFIX = 'archive/';
+
+// Ways a branch can be archived, with their display labels
+const ARCHIVE_MODES = {
+    ref: 'hidden ref (refs/archive/<date>/<branch>)',
+    tag: 'tag (archive/<branch>)',
+};
+
+// Helper function to check whether a tag belongs to the archive namespace (and so is never a cleanup candidate)
+function isArchiveTag(tagName) {
+    return tagName.startsWith(ARCHIVE_TAG_PREFIX);
+}
+
+// Helper function to get the full ref a branch is archived to; `day` is the archive date (YYYY-MM-DD)
+function getArchiveRef(branch, mode, day) {
+    return mode === 'tag' ? `refs/tags/${ARCHIVE_TAG_PREFIX}${branch}` : `${ARCHIVE_REF_PREFIX}${day}/${branch}`;
+}
+
+// Helper function to create the local archive ref of a candidate. An existing archive ref is reused when it points
+// at the same commit (e.g. a local branch and its remote branch archived in one run); otherwise this throws.
+function createArchiveRef(cwd, archiveRef, candidate, mode) {
+    const existing = runGit(['rev-parse', '--verify', '--quiet', `${archiveRef}^{commit}`], { cwd, ignoreError: true });
+    if (existing) {
+        if (existing === candidate.sha) return;
+        throw new Error(`'${archiveRef}' already exists at another commit`);
+    }
+    if (mode === 'tag') {
+        // Annotated, so the tag records when and why the branch was archived
+        const name = candidate.remote ? `${candidate.remote}/${candidate.branch}` : candidate.branch;
+        const message = `Archived branch '${name}'${candidate.reason ? ` (${candidate.reason})` : ''}`;
+        runGit(['tag', '-a', '-m', message, '--', archiveRef.substring('refs/tags/'.length), candidate.sha], { cwd });
+        return;
+    }
+    runGit(['update-ref', archiveRef, candidate.sha, ''], { cwd }); // Empty old value: only create, never overwrite
+}
+
+// Archives the given candidates (as returned by analyzeBranches) and then removes them like deleteBranches.
+// Each branch is first kept under its archive ref (see getArchiveRef); remote branches' archive refs are pushed
+// to their remote as well. A branch whose archive could not be created or pushed is left alone.
+// Returns one result per candidate, in order: { branch, type, remote, category, sha, archiveRef, archived,
+// deleted, error, journaled }.
+// Options:
+//   cwd     - repository working directory (defaults to process.cwd())
+//   mode    - 'ref' (default) or 'tag', see ARCHIVE_MODES
+//   date    - archive date used in ref mode (default: today)
+//   journal - record successful deletions in the undo journal (default true)
+//   session - journal session ID shared by related deletions (default: the current time)
+async function archiveBranches(candidates, {
+    cwd = process.cwd(),
+    mode = 'ref',
+    date = new Date(),
+    journal = true,
+    session = new Date().toISOString(),
+} = {}) {
+    if (!ARCHIVE_MODES[mode]) {
+        throw new Error(`Unknown archive mode '${mode}' (expected one of: ${Object.keys(ARCHIVE_MODES).join(', ')})`);
+    }
+    const day = new Date(date).toISOString().substring(0, 10);
+    const archiveRefs = new Map(); // candidate -> archive ref, for candidates archived successfully
+    const errors = new Map();
+
+    // 1. Create the archive refs locally
+    candidates.forEach(candidate => {
+        try {
+            assertValidRefName(candidate.branch);
+            if (candidate.type === 'remote') assertValidRefName(candidate.remote, 'remote');
+            const archiveRef = getArchiveRef(candidate.branch, mode, day);
+            createArchiveRef(cwd, archiveRef, candidate, mode);
+            archiveRefs.set(candidate, archiveRef);
+        } catch (error) {
+            errors.set(candidate, getErrorDetail(error));
+        }
+    });
+
+    // 2. Push the archive refs of remote branches to their remote, batched per remote
+    const byRemote = new Map();
+    candidates.filter(candidate => candidate.type === 'remote' && archiveRefs.has(candidate)).forEach(candidate => {
+        if (!byRemote.has(candidate.remote)) byRemote.set(candidate.remote, []);
+        byRemote.get(candidate.remote).push(candidate);
+    });
+    byRemote.forEach((remoteCandidates, remote) => {
+        const refs = [...new Set(remoteCandidates.map(candidate => archiveRefs.get(candidate)))];
+        const statuses = pushRefspecs(cwd, remote, refs.map(ref => `${ref}:${ref}`));
+        remoteCandidates.forEach(candidate => {
+            const status = statuses.get(archiveRefs.get(candidate));
+            if (status.flag !== '!') return;
+            errors.set(candidate, `Could not push the archive to '${remote}': ${status.summary}`);
+            archiveRefs.delete(candidate);
+        });
+    });
+
+    // 3. Remove the archived branches. Their commits stay reachable from the archive, so branches holding
+    // unique work are safe to remove.
+    const archived = candidates.filter(candidate => archiveRefs.has(candidate));
+    const deletions = await deleteBranches(archived, { cwd, journal, session, forceUnique: true });
+    const deletionResults = new Map(archived.map((candidate, index) => [candidate, deletions[index]]));
+
+    return candidates.map(candidate => {
+        const deletion = deletionResults.get(candidate);
+        return {
+            branch: candidate.branch,
+            type: candidate.type,
+            remote: candidate.remote || null,
+            category: candidate.category,
+            sha: candidate.sha,
+            archiveRef: archiveRefs.get(candidate) || null,
+            archived: archiveRefs.has(candidate),
+            deleted: deletion ? deletion.deleted : false,
+            error: deletion ? deletion.error : errors.get(candidate),
+            journaled: deletion ? deletion.journaled : false,
+            ...(deletion && deletion.journalError ? { journalError: deletion.journalError } : {}),
+        };
+    });
+}
+
+// Lists the archived branches of the repository at `cwd`, oldest first. Returns
+// [{ branch, mode, ref, object, sha, date }]: the archive ref, the object it points to (the tag object for archive
+// tags), the archived commit and the archive date (YYYY-MM-DD).
+function listArchivedBranches(cwd = process.cwd()) {
+    const format = ['%(refname)', '%(objectname)', '%(*objectname)', '%(creatordate:short)'].join('%00');
+    const output = runGit(['for-each-ref', `--format=${format}`, ARCHIVE_REF_PREFIX, `refs/tags/${ARCHIVE_TAG_PREFIX}`], { cwd, ignoreError: true });
+    const archives = [];
+    output.split('\n').filter(Boolean).forEach(line => {
+        const [ref, object, peeled, creatorDate] = line.trim().split('\0');
+        if (ref.startsWith(ARCHIVE_REF_PREFIX)) {
+            // refs/archive/<date>/<branch>
+            const [day, ...branchParts] = ref.substring(ARCHIVE_REF_PREFIX.length).split('/');
+            if (branchParts.length === 0) return;
+            archives.push({ branch: branchParts.join('/'), mode: 'ref', ref, object, sha: object, date: day });
+        } else {
+            archives.push({ branch: ref.substring(`refs/tags/${ARCHIVE_TAG_PREFIX}`.length), mode: 'tag', ref, object, sha: peeled || object, date: creatorDate });
+        }
+    });
+    return archives.sort((a, b) => a.date.localeCompare(b.date) || a.branch.localeCompare(b.branch));
+}
+
+// Recreates archived branches (as returned by listArchivedBranches) at their archived commit and removes their
+// archive refs. Returns one { branch, ref, sha, restored, pushed, error } result per entry.
+// Options:
+//   cwd    - repository working directory (defaults to process.cwd())
+//   remote - also recreate each branch on this remote and remove the archive ref there, if it was pushed
+async function unarchiveBranches(entries, { cwd = process.cwd(), remote = null } = {}) {
+    if (remote) assertValidRefName(remote, 'remote');
+    // Archive refs that exist on the remote, so only those are deleted there
+    const remoteRefs = remote
+        ? new Set(runGit(['ls-remote', '--', remote, `${ARCHIVE_REF_PREFIX}*`, `refs/tags/${ARCHIVE_TAG_PREFIX}*`], { cwd })
+            .split('\n').filter(Boolean).map(line => line.split('\t')[1]))
+        : new Set();
+
+    return entries.map(entry => {
+        const result = { branch: entry.branch, ref: entry.ref, sha: entry.sha, restored: false, pushed: false, error: null };
+        try {
+            assertValidRefName(entry.branch);
+            const existing = runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${entry.branch}`], { cwd, ignoreError: true });
+            if (!existing) {
+                runGit(['branch', '--', entry.branch, entry.sha], { cwd });
+            } else if (existing !== entry.sha) {
+                throw new Error(`local branch '${entry.branch}' already exists at a different commit`);
+            }
+            if (remote) {
+                const refspecs = [`${entry.sha}:refs/heads/${entry.branch}`];
+                if (remoteRefs.has(entry.ref)) refspecs.push(`:${entry.ref}`);
+                runGit(['push', '--', remote, ...refspecs], { cwd });
+                result.pushed = true;
+            }
+            // Guarded by the archived object, so an archive replaced in the meantime is kept
+            runGit(['update-ref', '-d', entry.ref, entry.object], { cwd });
+            result.restored = true;
+        } catch (error) {
+            result.error = getErrorDetail(error);
+        }
+        return result;
+    });
+}
+
+module.exports = {
+    ARCHIVE_REF_PREFIX,
+    ARCHIVE_TAG_PREFIX,
+    ARCHIVE_MODES,
+    isArchiveTag,
+    archiveBranches,
+    listArchivedBranches,
+    unarchiveBranches,
+};
@@ -0,0 +1,60 @@
+const { minimatch } = require('minimatch');
+const { runGit, assertValidRefName, listRemotes } = require('./git');
+
+// Helper function to check whether a base entry is a glob pattern (e.g. 'release/*') rather than a branch name
+function isBasePattern(entry) {
+    return /[*?[]/.test(entry);
+}
+
+// Checks a list of base branch names and glob patterns before it is used; throws on invalid names.
+// Patterns are only matched against existing branch names, never passed to git.
+function assertValidBases(bases) {
+    if (bases.length === 0) throw new Error('At least one base branch is required');
+    bases.filter(entry => !isBasePattern(entry)).forEach(entry => assertValidRefName(entry, 'base branch'));
+}
+
+// Detects the default branch of the repository at `cwd`: the branch a remote's HEAD points to
+// (refs/remotes/<remote>/HEAD, set by `git clone` and `git remote set-head <remote> --auto`), trying
+// `remotes` (default: every configured remote, 'origin' first) in order, then `init.defaultBranch`,
+// then 'main'. Returns { branch, source }, where `source` describes where the branch name came from.
+function detectDefaultBranch(cwd, remotes = null) {
+    const configuredRemotes = listRemotes(cwd);
+    const candidates = remotes
+        ? [].concat(remotes).filter(remote => configuredRemotes.includes(remote))
+        : [...configuredRemotes].sort((a, b) => (b === 'origin') - (a === 'origin'));
+    for (const remote of candidates) {
+        const headRef = `refs/remotes/${remote}/HEAD`;
+        const target = runGit(['symbolic-ref', '--quiet', headRef], { cwd, ignoreError: true });
+        const prefix = `refs/remotes/${remote}/`;
+        if (target.startsWith(prefix) && target.length > prefix.length) {
+            return { branch: target.substring(prefix.length), source: headRef };
+        }
+    }
+    const initDefault = runGit(['config', 'init.defaultBranch'], { cwd, ignoreError: true });
+    if (initDefault) return { branch: initDefault, source: 'init.defaultBranch' };
+    return { branch: 'main', source: 'fallback' };
+}
+
+// Expands base branch names and glob patterns against the names of existing branches (local ones, or one
+// remote's branches as named on the remote). Returns { bases, missing }: the matching branches in the order of
+// `entries` (a pattern's matches sorted by name, each branch once), and the names and patterns matching nothing.
+function resolveBases(entries, branchNames) {
+    const existing = [...branchNames].sort();
+    const bases = [];
+    const missing = [];
+    entries.forEach(entry => {
+        const matches = isBasePattern(entry)
+            ? existing.filter(name => minimatch(name, entry))
+            : existing.filter(name => name === entry);
+        if (matches.length === 0) missing.push(entry);
+        matches.filter(name => !bases.includes(name)).forEach(name => bases.push(name));
+    });
+    return { bases, missing };
+}
+
+module.exports = {
+    isBasePattern,
+    assertValidBases,
+    detectDefaultBranch,
+    resolveBases,
+};
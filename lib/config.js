@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { runGit } = require('./git');
+const { STALE_DATE_SOURCES } = require('./refs');
+const { HOSTING_PROVIDERS } = require('./hosting');
+
+// Settings are read from (lowest to highest precedence) ~/.cleanreporc, the "cleanrepo" key in the
+// repository's package.json and the repository's .cleanreporc. CLI flags override all of them.
+const CONFIG_FILE_NAMES = ['.cleanreporc', '.cleanreporc.json', '.cleanreporc.yaml', '.cleanreporc.yml'];
+
+// Helper function to validate the "hosting" section (see createHostingClient in lib/hosting.js)
+function normalizeHostingConfig(raw, source) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid config in ${source}: "hosting" must be an object`);
+    }
+    const hosting = {};
+    ['provider', 'remote', 'baseUrl', 'project', 'tokenEnv'].forEach(key => {
+        if (raw[key] === undefined) return;
+        if (typeof raw[key] !== 'string' || raw[key] === '') {
+            throw new Error(`Invalid config in ${source}: "hosting.${key}" must be a non-empty string`);
+        }
+        hosting[key] = raw[key];
+    });
+    if (hosting.provider !== undefined && !HOSTING_PROVIDERS[hosting.provider]) {
+        throw new Error(`Invalid config in ${source}: "hosting.provider" must be one of ${Object.keys(HOSTING_PROVIDERS).join(', ')}`);
+    }
+    if (raw.cacheTtl !== undefined) {
+        if (!Number.isInteger(raw.cacheTtl) || raw.cacheTtl < 0) {
+            throw new Error(`Invalid config in ${source}: "hosting.cacheTtl" must be a non-negative integer`);
+        }
+        hosting.cacheTtl = raw.cacheTtl;
+    }
+    return hosting;
+}
+
+// Helper function to normalise and validate a raw config object; `source` is used in error messages
+function normalizeConfig(raw, source) {
+    if (raw === null || raw === undefined) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid config in ${source}: expected an object`);
+    }
+    const toPatternList = (value, key) => {
+        if (value === undefined) return undefined;
+        const list = Array.isArray(value) ? value : [value];
+        if (!list.every(item => typeof item === 'string')) {
+            throw new Error(`Invalid config in ${source}: "${key}" must be a string or a list of strings`);
+        }
+        return list;
+    };
+    const config = {};
+    config.base = toPatternList(raw.base, 'base');
+    config.remote = toPatternList(raw.remote, 'remote');
+    if (raw.staleDays !== undefined) {
+        if (!Number.isInteger(raw.staleDays) || raw.staleDays < 0) {
+            throw new Error(`Invalid config in ${source}: "staleDays" must be a non-negative integer`);
+        }
+        config.staleDays = raw.staleDays;
+    }
+    if (raw.staleBy !== undefined) {
+        if (!STALE_DATE_SOURCES[raw.staleBy]) {
+            throw new Error(`Invalid config in ${source}: "staleBy" must be one of ${Object.keys(STALE_DATE_SOURCES).join(', ')}`);
+        }
+        config.staleBy = raw.staleBy;
+    }
+    config.protect = toPatternList(raw.protect, 'protect');
+    config.include = toPatternList(raw.include, 'include');
+    config.protectTags = toPatternList(raw.protectTags, 'protectTags');
+    if (raw.hosting !== undefined) {
+        config.hosting = normalizeHostingConfig(raw.hosting, source);
+    }
+    return config;
+}
+
+// Helper function to read the first existing .cleanreporc variant in a directory (JSON or YAML)
+function readConfigFileFromDir(dir) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const filePath = path.join(dir, fileName);
+        if (fs.existsSync(filePath)) {
+            // YAML is a superset of JSON, so one parser handles both formats
+            return { source: filePath, config: normalizeConfig(yaml.load(fs.readFileSync(filePath, 'utf8')), filePath) };
+        }
+    }
+    return null;
+}
+
+// Loads and merges every config source for the repository containing `cwd`.
+// Returns { base, remote, staleDays, staleBy, protect, include, protectTags, hosting, sources }; throws on invalid config.
+function loadConfig(cwd = process.cwd()) {
+    const repoRoot = runGit(['rev-parse', '--show-toplevel'], { cwd, ignoreError: true }) || cwd;
+    const layers = [];
+
+    const homeDir = os.homedir();
+    if (path.resolve(homeDir) !== path.resolve(repoRoot)) {
+        const homeConfig = readConfigFileFromDir(homeDir);
+        if (homeConfig) layers.push(homeConfig);
+    }
+
+    const packageJsonPath = path.join(repoRoot, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        if (packageJson.cleanrepo !== undefined) {
+            const source = `${packageJsonPath} ("cleanrepo" key)`;
+            layers.push({ source, config: normalizeConfig(packageJson.cleanrepo, source) });
+        }
+    }
+
+    const repoConfig = readConfigFileFromDir(repoRoot);
+    if (repoConfig) layers.push(repoConfig);
+
+    // Later layers override earlier ones, except protect patterns which accumulate
+    const merged = { protect: [], include: [], protectTags: [], sources: layers.map(layer => layer.source) };
+    layers.forEach(({ config }) => {
+        if (config.base !== undefined) merged.base = config.base;
+        if (config.remote !== undefined) merged.remote = config.remote;
+        if (config.staleDays !== undefined) merged.staleDays = config.staleDays;
+        if (config.staleBy !== undefined) merged.staleBy = config.staleBy;
+        if (config.include !== undefined) merged.include = config.include;
+        if (config.protect !== undefined) merged.protect.push(...config.protect);
+        if (config.protectTags !== undefined) merged.protectTags.push(...config.protectTags);
+        // Hosting settings merge key by key, so e.g. ~/.cleanreporc can hold the baseUrl of every repository
+        if (config.hosting !== undefined) merged.hosting = { ...merged.hosting, ...config.hosting };
+    });
+    return merged;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    loadConfig,
+};
@@ -0,0 +1,176 @@
+const { runGit, assertValidRefName } = require('./git');
+const { recordDeletion } = require('./journal');
+
+// Helper function to extract git's own error output for a failed command
+function getErrorDetail(error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : '';
+    return stderr || error.message;
+}
+
+// Remote branches deleted per `git push`; keeps command lines well below OS limits
+const PUSH_BATCH_SIZE = 100;
+
+// Helper function to refuse deleting a branch with an invalid name or one that holds unique work (unless forced); throws
+function assertDeletable(candidate, forceUnique) {
+    assertValidRefName(candidate.branch);
+    if (candidate.type === 'remote') assertValidRefName(candidate.remote, 'remote');
+    if (candidate.safety && candidate.safety.status === 'unique' && !forceUnique) {
+        throw new Error(`Refusing to delete '${candidate.branch}': it holds commits that exist on no remote (pass forceUnique to delete it anyway)`);
+    }
+}
+
+// Helper function to push a batch of refspecs to one remote with a single `git push --porcelain`.
+// Returns a map of destination ref -> { flag, summary }, parsed from the per-ref status lines.
+function pushBatch(cwd, remote, refspecs) {
+    let output;
+    let pushError = null;
+    try {
+        output = runGit(['push', '--porcelain', '--', remote, ...refspecs], { cwd });
+    } catch (error) {
+        // git exits non-zero if any ref failed, but still reports the status of every ref on stdout
+        output = error.stdout ? error.stdout.toString() : '';
+        pushError = getErrorDetail(error);
+    }
+
+    const statuses = new Map();
+    output.split('\n').forEach(line => {
+        // Porcelain status lines look like "<flag>\t<from>:<to>\t<summary>"
+        const match = line.match(/^([ +\-*!=])\t[^\t]*:([^\t]+)\t(.*)$/);
+        if (match) statuses.set(match[2], { flag: match[1], summary: match[3] });
+    });
+
+    return new Map(refspecs.map(refspec => {
+        const destination = refspec.substring(refspec.lastIndexOf(':') + 1);
+        return [destination, statuses.get(destination) || { flag: '!', summary: pushError || 'git push reported no status for this ref' }];
+    }));
+}
+
+// Pushes refspecs (e.g. ':refs/heads/old' to delete, 'refs/archive/x:refs/archive/x' to create) to one remote
+// in batches of PUSH_BATCH_SIZE. Returns a map of destination ref -> { flag, summary } as reported by git
+// (flag '-' deleted, '*' created, ' ' or '+' updated, '=' up to date, '!' rejected or failed).
+function pushRefspecs(cwd, remote, refspecs) {
+    const statuses = new Map();
+    for (let i = 0; i < refspecs.length; i += PUSH_BATCH_SIZE) {
+        pushBatch(cwd, remote, refspecs.slice(i, i + PUSH_BATCH_SIZE)).forEach((status, destination) => statuses.set(destination, status));
+    }
+    return statuses;
+}
+
+// Deletes the refs `names` (relative to `refPrefix`: branches, or tags with 'refs/tags/') from one remote in a
+// few multi-ref pushes. Returns a map of name -> error message (null when deleted).
+function deleteRemoteRefs(cwd, remote, names, refPrefix = 'refs/heads/') {
+    const statuses = pushRefspecs(cwd, remote, names.map(name => `:${refPrefix}${name}`));
+    return new Map(names.map(name => {
+        const status = statuses.get(`${refPrefix}${name}`);
+        return [name, status.flag === '-' ? null : status.summary];
+    }));
+}
+
+// Helper function to delete every remote candidate, batched per remote.
+// Returns a map of candidate -> error message (null when deleted).
+function deleteRemoteCandidates(cwd, candidates, forceUnique) {
+    const outcomes = new Map();
+    const byRemote = new Map();
+    candidates.forEach(candidate => {
+        try {
+            assertDeletable(candidate, forceUnique);
+        } catch (error) {
+            outcomes.set(candidate, error.message);
+            return;
+        }
+        if (!byRemote.has(candidate.remote)) byRemote.set(candidate.remote, []);
+        byRemote.get(candidate.remote).push(candidate);
+    });
+
+    byRemote.forEach((remoteCandidates, remote) => {
+        const errors = deleteRemoteRefs(cwd, remote, remoteCandidates.map(candidate => candidate.branch));
+        remoteCandidates.forEach(candidate => outcomes.set(candidate, errors.get(candidate.branch)));
+    });
+    return outcomes;
+}
+
+// Merge strategies whose branches are ancestors of the base, which `git branch -d` deletes safely
+const ANCESTOR_STRATEGIES = ['merge-commit', 'fast-forward'];
+
+// Helper function to delete a single local candidate branch; throws on failure
+function deleteLocalCandidate(cwd, candidate, forceUnique) {
+    assertDeletable(candidate, forceUnique);
+    if (candidate.category === 'merged' && candidate.strategy && !ANCESTOR_STRATEGIES.includes(candidate.strategy)) {
+        // Branches merged via squash/rebase are not ancestors of the base, so `git branch -d` would refuse them.
+        // Delete those through update-ref guarded by the tip we analysed instead of falling back to -D.
+        runGit(['update-ref', '-d', `refs/heads/${candidate.branch}`, candidate.sha], { cwd });
+        // update-ref leaves the branch's tracking config behind, `git branch -d` would not
+        runGit(['config', '--remove-section', `branch.${candidate.branch}`], { cwd, ignoreError: true });
+        return;
+    }
+    if (candidate.category === 'merged') {
+        runGit(['branch', '-d', '--', candidate.branch], { cwd });
+        return;
+    }
+    runGit(['branch', '-D', '--', candidate.branch], { cwd }); // Force delete
+}
+
+// Deletes the given candidates (as returned by analyzeBranches) and returns one result per
+// candidate, in order: { branch, type, remote, category, sha, deleted, error, journaled }.
+// Remote branches are deleted in a few multi-ref pushes per remote rather than one push each.
+// Options:
+//   cwd     - repository working directory (defaults to process.cwd())
+//   journal - record successful deletions in the undo journal (default true)
+//   session - journal session ID shared by related deletions (default: the current time)
+//   forceUnique - also delete stale/upstream-gone branches whose commits exist on no remote (default false)
+async function deleteBranches(candidates, {
+    cwd = process.cwd(),
+    journal = true,
+    session = new Date().toISOString(),
+    forceUnique = false,
+} = {}) {
+    const results = [];
+    const remoteOutcomes = deleteRemoteCandidates(cwd, candidates.filter(candidate => candidate.type === 'remote'), forceUnique);
+    for (const candidate of candidates) {
+        const result = {
+            branch: candidate.branch,
+            type: candidate.type,
+            remote: candidate.remote || null,
+            category: candidate.category,
+            sha: candidate.sha,
+            deleted: false,
+            error: null,
+            journaled: false,
+        };
+        if (candidate.type === 'remote') {
+            result.error = remoteOutcomes.get(candidate);
+            result.deleted = result.error === null;
+        } else {
+            try {
+                deleteLocalCandidate(cwd, candidate, forceUnique);
+                result.deleted = true;
+            } catch (error) {
+                result.error = getErrorDetail(error);
+            }
+        }
+
+        if (result.deleted && journal) {
+            try {
+                recordDeletion(cwd, session, {
+                    branch: candidate.branch,
+                    type: candidate.type,
+                    remote: candidate.remote || null,
+                    sha: candidate.sha,
+                    reason: candidate.reason,
+                });
+                result.journaled = true;
+            } catch (error) {
+                result.journalError = error.message;
+            }
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+module.exports = {
+    getErrorDetail,
+    pushRefspecs,
+    deleteRemoteRefs,
+    deleteBranches,
+};
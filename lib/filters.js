@@ -0,0 +1,40 @@
+const { minimatch } = require('minimatch');
+
+// Helper function to explain why a branch must not be touched; returns null if it may be a candidate.
+// `protect` and `include` are lists of glob patterns matched against the branch name (without remote prefix).
+function getProtectionReason(branchName, { protect = [], include = [] } = {}) {
+    const protectMatch = protect.find(pattern => minimatch(branchName, pattern));
+    if (protectMatch) {
+        return `matches protect pattern '${protectMatch}'`;
+    }
+    if (include.length > 0 && !include.some(pattern => minimatch(branchName, pattern))) {
+        return 'not matched by any include pattern';
+    }
+    return null;
+}
+
+// Helper function to check an author ("Name <email>") against a pattern. Like `git log --author` this is a
+// case-insensitive substring match, so a name, an email address or a domain all work as patterns.
+function matchesAuthor(author, pattern) {
+    return author.toLowerCase().includes(pattern.toLowerCase());
+}
+
+// Helper function to explain why a branch is filtered out by author; returns null if it may be a candidate.
+// `branchAuthors` are the authors of the commits unique to the branch. A branch is kept only if every one
+// of them matches an `authors` pattern (when given) and none matches an `excludeAuthors` pattern.
+function getAuthorFilterReason(branchAuthors, { authors = [], excludeAuthors = [] } = {}) {
+    const excludedAuthor = branchAuthors.find(author => excludeAuthors.some(pattern => matchesAuthor(author, pattern)));
+    if (excludedAuthor) {
+        return `has commits by excluded author '${excludedAuthor}'`;
+    }
+    const otherAuthor = authors.length > 0 && branchAuthors.find(author => !authors.some(pattern => matchesAuthor(author, pattern)));
+    if (otherAuthor) {
+        return `has commits by '${otherAuthor}', who matches no author filter`;
+    }
+    return null;
+}
+
+module.exports = {
+    getProtectionReason,
+    getAuthorFilterReason,
+};
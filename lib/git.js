@@ -0,0 +1,51 @@
+const { execFileSync } = require('child_process');
+
+// Runs git with the given argument array in `cwd` and returns its trimmed stdout.
+// No shell is involved, so branch names and other arguments are passed to git verbatim.
+// With ignoreError the command's failure is swallowed and an empty string returned.
+// Failures otherwise throw the execFileSync error, whose `stderr` holds git's own message.
+// `input` is written to git's stdin (e.g. to feed a patch to `git patch-id`).
+function runGit(args, { cwd = process.cwd(), ignoreError = false, input, maxBuffer = 1024 * 1024 * 5 } = {}) {
+    try {
+        // Increase maxBuffer size if needed for large command outputs
+        return execFileSync('git', args, { cwd, input, stdio: 'pipe', maxBuffer }).toString().trim();
+    } catch (error) {
+        if (ignoreError) return ''; // Return empty string if error is ignored
+        throw error;
+    }
+}
+
+// Helper function to check a branch or remote name against git's ref name rules (see git-check-ref-format)
+// before it is used in a git command. Also rejects names starting with '-', which git would parse as options.
+function isValidRefName(name) {
+    if (typeof name !== 'string' || name === '' || name === '@') return false;
+    if (name.startsWith('-') || name.startsWith('/') || name.endsWith('/') || name.endsWith('.') || name.endsWith('.lock')) return false;
+    if (/[\x00-\x20\x7f~^:?*[\\]/.test(name)) return false; // Control characters, space and git's special characters
+    if (name.includes('..') || name.includes('@{') || name.includes('//')) return false;
+    return name.split('/').every(component => !component.startsWith('.') && !component.endsWith('.lock'));
+}
+
+// Helper function to throw a descriptive error unless `name` is a valid branch/remote name
+function assertValidRefName(name, kind = 'branch') {
+    if (!isValidRefName(name)) {
+        throw new Error(`Invalid ${kind} name '${name}'`);
+    }
+}
+
+// Helper function to list the configured remotes of a repository
+function listRemotes(cwd) {
+    return runGit(['remote'], { cwd, ignoreError: true }).split('\n').map(r => r.trim()).filter(Boolean);
+}
+
+// Helper function to get the branch checked out in `cwd` ('' when HEAD is detached)
+function getCurrentBranch(cwd) {
+    return runGit(['symbolic-ref', '--short', 'HEAD'], { cwd, ignoreError: true }) || '';
+}
+
+module.exports = {
+    runGit,
+    isValidRefName,
+    assertValidRefName,
+    listRemotes,
+    getCurrentBranch,
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { runGit } = require('./git');
+const { getErrorDetail } = require('./delete');
+
+// Ignore templates per stack. A stack is detected when one of its marker files (or globs) exists in the
+// repository root; its whole template is then proposed. Stacks without markers apply to every repository,
+// but only their patterns that match something in the working tree are proposed.
+const STACK_TEMPLATES = [
+    {
+        id: 'node',
+        label: 'Node.js',
+        markers: ['package.json'],
+        patterns: ['node_modules/', 'npm-debug.log*', 'yarn-debug.log*', 'yarn-error.log*', '.pnpm-store/', '*.lock-wscript', 'coverage/', '.nyc_output/', 'dist/', 'build/'],
+    },
+    {
+        id: 'python',
+        label: 'Python',
+        markers: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'Pipfile'],
+        patterns: ['__pycache__/', '*.py[cod]', '*.egg-info/', '.venv/', 'venv/', '.pytest_cache/', '.mypy_cache/', 'build/', 'dist/'],
+    },
+    {
+        id: 'go',
+        label: 'Go',
+        markers: ['go.mod'],
+        patterns: ['*.exe', '*.test', '*.out'],
+    },
+    {
+        id: 'rust',
+        label: 'Rust',
+        markers: ['Cargo.toml'],
+        patterns: ['target/'],
+    },
+    {
+        id: 'java',
+        label: 'Java / JVM',
+        markers: ['pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'],
+        patterns: ['*.class', 'target/', 'build/', '.gradle/', 'out/', '*.war', '*.ear'],
+    },
+    {
+        id: 'c',
+        label: 'C / C++',
+        markers: ['CMakeLists.txt', 'Makefile', 'configure.ac', 'meson.build'],
+        patterns: ['*.o', '*.obj', '*.so', '*.dll', '*.exe', '*.out', 'build/'],
+    },
+    {
+        id: 'terraform',
+        label: 'Terraform',
+        markers: ['*.tf'],
+        patterns: ['.terraform/', '*.tfstate', '*.tfstate.*'],
+    },
+    {
+        id: 'editors',
+        label: 'Editors',
+        markers: [],
+        patterns: ['.vscode/', '.idea/', '*.suo', '*.user', '*.swp'],
+    },
+    {
+        id: 'os',
+        label: 'OS generated files',
+        markers: [],
+        patterns: ['.DS_Store', 'Thumbs.db'],
+    },
+    {
+        id: 'misc',
+        label: 'Logs, caches and secrets',
+        markers: [],
+        patterns: ['*.log', '.cache/', '.vagrant/', '.env'],
+    },
+];
+
+// Lock files are meant to be committed, so patterns that would ignore any of them are never proposed
+const LOCK_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'Cargo.lock', 'go.sum', 'poetry.lock', 'Pipfile.lock', 'uv.lock', 'composer.lock', 'Gemfile.lock'];
+
+// Files untracked per `git rm --cached`; keeps command lines well below OS limits
+const UNTRACK_BATCH_SIZE = 100;
+
+// `git ls-files` and `git check-ignore` list every file of large repositories
+const LIST_MAX_BUFFER = 1024 * 1024 * 256;
+
+// Helper function to get the root of the repository containing `cwd`, where the .gitignore lives
+function getRepoRoot(cwd) {
+    return runGit(['rev-parse', '--show-toplevel'], { cwd, ignoreError: true }) || cwd;
+}
+
+// Returns the IDs of the stacks whose marker files exist in the repository root, e.g. ['node', 'python']
+function detectStacks(cwd) {
+    const rootEntries = fs.readdirSync(getRepoRoot(cwd));
+    return STACK_TEMPLATES
+        .filter(template => template.markers.some(marker => rootEntries.some(entry => minimatch(entry, marker))))
+        .map(template => template.id);
+}
+
+// Helper function to read the non-empty, trimmed lines of a .gitignore file ([] if it does not exist)
+function readGitignoreLines(gitignorePath) {
+    if (!fs.existsSync(gitignorePath)) return [];
+    return fs.readFileSync(gitignorePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+// Helper function to list the paths worth checking against new patterns: tracked files, and untracked files that
+// are not ignored yet. Git does not descend into ignored directories and reports a wholly untracked directory as
+// a single "dir/" entry, so this stays fast even with a large node_modules.
+function listCandidatePaths(root) {
+    const split = output => output.split('\0').filter(Boolean);
+    return {
+        tracked: split(runGit(['ls-files', '-z', '--cached'], { cwd: root, ignoreError: true, maxBuffer: LIST_MAX_BUFFER })),
+        untracked: split(runGit(['ls-files', '-z', '--others', '--exclude-standard', '--directory', '--no-empty-directory'], { cwd: root, ignoreError: true, maxBuffer: LIST_MAX_BUFFER })),
+    };
+}
+
+// Helper function to build a path the pattern matches (e.g. "*.py[cod]" -> "x.pyc"), so git can tell
+// whether the repository's existing rules already ignore what the pattern is meant for
+function toProbePath(pattern) {
+    return pattern
+        .replace(/^\//, '')
+        .replace(/\*\*\//g, '')
+        .replace(/\[!?([^\]])[^\]]*\]/g, '$1')
+        .replace(/[*?]/g, 'x');
+}
+
+// Helper function to run `git check-ignore` on `paths` with the repository's own ignore rules plus `patterns`
+// (as the lowest-precedence exclude file), so negations and nested .gitignore files are respected.
+// Returns one { pattern, fromPatterns, ignored } entry per path, in order: the deciding rule, whether it is one
+// of `patterns`, and whether it ignores the path (negated rules do not). `pattern` is null if no rule matched.
+function checkIgnore(root, patterns, paths) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanrepo-'));
+    const excludesFile = path.join(tempDir, 'exclude');
+    let output;
+    try {
+        fs.writeFileSync(excludesFile, patterns.join('\n') + '\n', 'utf8');
+        const args = ['-c', `core.excludesFile=${excludesFile}`, 'check-ignore', '--no-index', '--verbose', '--non-matching', '-z', '--stdin'];
+        try {
+            output = runGit(args, { cwd: root, input: paths.join('\0'), maxBuffer: LIST_MAX_BUFFER });
+        } catch (error) {
+            // check-ignore exits with 1 when none of the paths is ignored, but still reports every path
+            if (error.status !== 1) throw error;
+            output = error.stdout ? error.stdout.toString() : '';
+        }
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    // Records are "<source> NUL <line> NUL <pattern> NUL <path> NUL"; source and pattern are empty without a match
+    const fields = output.split('\0');
+    return paths.map((_, index) => {
+        const [source, line, pattern] = fields.slice(index * 4, index * 4 + 3);
+        if (!pattern) return { pattern: null, fromPatterns: false, ignored: false };
+        const fromPatterns = source === excludesFile;
+        return {
+            pattern: fromPatterns ? patterns[parseInt(line, 10) - 1] : pattern,
+            fromPatterns,
+            ignored: !pattern.startsWith('!'),
+        };
+    });
+}
+
+// Helper function to drop the patterns that would ignore a lock file
+function withoutLockFilePatterns(root, patterns) {
+    let remaining = patterns;
+    // check-ignore reports only the deciding pattern per file, so repeat until no lock file matches
+    for (;;) {
+        const matching = new Set(checkIgnore(root, remaining, LOCK_FILES)
+            .filter(result => result.fromPatterns && result.ignored)
+            .map(result => result.pattern));
+        if (matching.size === 0) return remaining;
+        remaining = remaining.filter(pattern => !matching.has(pattern));
+    }
+}
+
+// Proposes the ignore patterns missing from the repository's .gitignore, grouped by stack.
+// Returns { path, stacks, sections: [{ id, label, detected, patterns: [{ pattern, matches, tracked }] }] }, where
+// `matches` lists the untracked files/directories the pattern would newly ignore and `tracked` the already
+// committed files it matches (these stay tracked unless untracked).
+// Git decides what a pattern matches: a pattern is skipped when the existing rules (including nested .gitignore
+// files) already ignore what it is meant for, e.g. "node_modules/" when "/node_modules" is present, and paths
+// re-included by a negation ("!build/keep") are not counted. Each pattern is proposed once, in the first section
+// that contains it. Patterns that would ignore a lock file (package-lock.json, yarn.lock, ...) are never proposed.
+async function analyzeGitignore({ cwd = process.cwd() } = {}) {
+    const root = getRepoRoot(cwd);
+    const gitignorePath = path.join(root, '.gitignore');
+    const existingEntries = new Set(readGitignoreLines(gitignorePath));
+    const stacks = detectStacks(root);
+    const templates = STACK_TEMPLATES.filter(template => template.markers.length === 0 || stacks.includes(template.id));
+
+    const templatePatterns = [...new Set(templates.flatMap(template => template.patterns))].filter(pattern => !existingEntries.has(pattern));
+    const patterns = templatePatterns.length > 0 ? withoutLockFilePatterns(root, templatePatterns) : [];
+    const { tracked, untracked } = listCandidatePaths(root);
+    const candidates = [...tracked, ...untracked];
+    const results = patterns.length > 0 ? checkIgnore(root, patterns, [...candidates, ...patterns.map(toProbePath)]) : [];
+
+    // Attribute every tracked or untracked path to the new pattern that would ignore it. A new directory pattern
+    // wins over an existing negation below it ("build/" vs "!build/keep"), so paths the existing rules explicitly
+    // re-include are checked again without the new patterns and left out.
+    const attributed = candidates
+        .map((file, index) => ({ file, index, result: results[index] }))
+        .filter(({ result }) => result.fromPatterns && result.ignored);
+    const negated = new Set(checkIgnore(root, [], attributed.map(({ file }) => file))
+        .map((result, index) => (result.pattern && !result.ignored ? attributed[index].file : null))
+        .filter(Boolean));
+    const matchesByPattern = new Map(patterns.map(pattern => [pattern, { matches: [], tracked: [] }]));
+    attributed.filter(({ file }) => !negated.has(file)).forEach(({ file, index, result }) => {
+        matchesByPattern.get(result.pattern)[index < tracked.length ? 'tracked' : 'matches'].push(file);
+    });
+    const coveredPatterns = new Set(patterns.filter((pattern, index) => {
+        const probeResult = results[candidates.length + index];
+        return !probeResult.fromPatterns && probeResult.ignored;
+    }));
+
+    const proposed = new Set();
+    const sections = [];
+    templates.forEach(template => {
+        const detected = stacks.includes(template.id);
+        const sectionPatterns = template.patterns
+            .filter(pattern => matchesByPattern.has(pattern) && !proposed.has(pattern))
+            .map(pattern => ({ pattern, ...matchesByPattern.get(pattern) }))
+            // Detected stacks get their whole template unless existing rules cover a pattern; marker-less
+            // templates (editors, OS, ...) only contribute patterns that match something
+            .filter(entry => entry.matches.length > 0 || entry.tracked.length > 0 || (detected && !coveredPatterns.has(entry.pattern)));
+        sectionPatterns.forEach(entry => proposed.add(entry.pattern));
+        if (sectionPatterns.length > 0) {
+            sections.push({ id: template.id, label: template.label, detected, patterns: sectionPatterns });
+        }
+    });
+
+    return { path: gitignorePath, stacks, sections };
+}
+
+// Appends the selected patterns to the .gitignore (creating it if needed), one commented section per stack.
+// `sections` has the shape returned by analyzeGitignore, filtered down to the patterns to add.
+// Returns the list of added patterns.
+async function writeGitignoreSections(sections, { cwd = process.cwd() } = {}) {
+    const gitignorePath = path.join(getRepoRoot(cwd), '.gitignore');
+    const nonEmpty = sections.filter(section => section.patterns.length > 0);
+    if (nonEmpty.length === 0) return [];
+
+    const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+    const blocks = nonEmpty.map(section => [`# ${section.label}`, ...section.patterns.map(entry => entry.pattern)].join('\n'));
+    // Keep a blank line between the existing content and each new section
+    let prefix = '';
+    if (existing.length > 0) prefix = existing.endsWith('\n') ? '\n' : '\n\n';
+    fs.appendFileSync(gitignorePath, prefix + blocks.join('\n\n') + '\n', 'utf8');
+    return nonEmpty.flatMap(section => section.patterns.map(entry => entry.pattern));
+}
+
+// Removes the given files from the index (`git rm --cached`), leaving them on disk.
+// Returns one { file, untracked, error } result per file.
+async function untrackFiles(files, { cwd = process.cwd() } = {}) {
+    const root = getRepoRoot(cwd);
+    const results = [];
+    for (let i = 0; i < files.length; i += UNTRACK_BATCH_SIZE) {
+        const batch = files.slice(i, i + UNTRACK_BATCH_SIZE);
+        let error = null;
+        try {
+            // Literal pathspecs, so file names containing glob characters only match themselves
+            runGit(['--literal-pathspecs', 'rm', '--cached', '--quiet', '--', ...batch], { cwd: root });
+        } catch (batchError) {
+            error = getErrorDetail(batchError);
+        }
+        batch.forEach(file => results.push({ file, untracked: error === null, error }));
+    }
+    return results;
+}
+
+module.exports = {
+    STACK_TEMPLATES,
+    LOCK_FILES,
+    detectStacks,
+    analyzeGitignore,
+    writeGitignoreSections,
+    untrackFiles,
+};
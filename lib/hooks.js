@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+const { getErrorDetail } = require('./delete');
+
+// --- Git Hooks ---
+// `cleanrepo hooks install` writes a small shell script into each chosen hook that runs `cleanrepo hooks run
+// <hook>`. An existing hook is renamed to <hook>.cleanrepo-chained and called first, so it keeps working, and
+// `cleanrepo hooks uninstall` puts it back.
+
+// Hooks cleanrepo can be installed into, with the shell test of the hook's arguments that decides whether the
+// cleanup runs (null: always)
+const HOOK_CONDITIONS = {
+    'post-merge': null, // After `git pull` or `git merge`
+    'post-checkout': '[ "$3" = 1 ]', // Branch checkouts, not checkouts of single files
+    'post-rewrite': '[ "$1" = rebase ]', // After `git pull --rebase`, not after `git commit --amend`
+};
+const DEFAULT_HOOKS = ['post-merge', 'post-checkout'];
+
+// Hours between two cleanups started by hooks, unless configured otherwise
+const DEFAULT_HOOK_INTERVAL = 24;
+
+// Identifies hook scripts written by cleanrepo
+const HOOK_MARKER = '# cleanrepo-hook';
+const CHAINED_SUFFIX = '.cleanrepo-chained';
+
+// Helper function to get the directory git runs hooks from (honours core.hooksPath)
+function getHooksDir(cwd) {
+    return path.resolve(cwd, runGit(['rev-parse', '--git-path', 'hooks'], { cwd }));
+}
+
+// Helper function to get the path of the hook state file, which records when a hook last ran the cleanup
+function getStatePath(cwd) {
+    const gitDir = runGit(['rev-parse', '--git-common-dir'], { cwd });
+    return path.join(path.resolve(cwd, gitDir), 'cleanrepo', 'hooks.json');
+}
+
+// Helper function to check whether a hook file is one written by cleanrepo
+function isCleanrepoHook(hookPath) {
+    try {
+        return fs.readFileSync(hookPath, 'utf8').split('\n').slice(0, 3).includes(HOOK_MARKER);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to check for a symbolic link, which existsSync does not report when its target is missing
+function isSymlink(filePath) {
+    try {
+        return fs.lstatSync(filePath).isSymbolicLink();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to quote an argument for a POSIX shell script
+function quoteShell(arg) {
+    return `'${String(arg).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+// Helper function to build the script installed as `hook`. It runs the `cleanrepo` found on the PATH, otherwise
+// `command` (the cleanrepo command line used when the PATH has none) as long as its absolute paths still exist,
+// and does nothing if neither is there (e.g. cleanrepo was uninstalled).
+function buildHookScript(hook, command, interval) {
+    const args = `hooks run ${hook} --interval ${interval}`;
+    const fallbackCheck = command.filter(part => path.isAbsolute(part)).map(part => `[ -e ${quoteShell(part)} ]`).join(' && ') || 'true';
+    const condition = HOOK_CONDITIONS[hook];
+    const indent = condition ? '    ' : '';
+    return [
+        '#!/bin/sh',
+        HOOK_MARKER,
+        '# Deletes local branches merged into the base branch after it was updated, at most once per interval.',
+        '# Installed by `cleanrepo hooks install`; `cleanrepo hooks uninstall` removes it and restores the chained hook.',
+        'status=0',
+        `chained="$(dirname "$0")/${hook}${CHAINED_SUFFIX}"`,
+        'if [ -x "$chained" ]; then',
+        '    "$chained" "$@"',
+        '    status=$?',
+        'fi',
+        condition ? `if ${condition}; then` : null,
+        `${indent}if command -v cleanrepo >/dev/null 2>&1; then`,
+        `${indent}    cleanrepo ${args}`,
+        `${indent}elif ${fallbackCheck}; then`,
+        `${indent}    ${command.map(quoteShell).join(' ')} ${args}`,
+        `${indent}fi`,
+        condition ? 'fi' : null,
+        'exit $status',
+        '',
+    ].filter(line => line !== null).join('\n');
+}
+
+// Helper function to check the hook names passed to install/uninstall
+function assertKnownHooks(hooks) {
+    const unknown = hooks.filter(hook => !Object.prototype.hasOwnProperty.call(HOOK_CONDITIONS, hook));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown hook(s): ${unknown.join(', ')} (expected: ${Object.keys(HOOK_CONDITIONS).join(', ')})`);
+    }
+}
+
+// Installs the cleanup into the given hooks of the repository at `cwd`. An existing hook is kept as
+// <hook>.cleanrepo-chained and run before the cleanup; a hook installed earlier is rewritten (e.g. with a new interval).
+// Returns one { hook, path, installed, updated, chained, error } result per hook.
+// Options:
+//   cwd      - repository working directory (defaults to process.cwd())
+//   command  - command line that runs cleanrepo when the hook finds no `cleanrepo` on the PATH (default: this
+//              Node.js binary and cli.js, by absolute path)
+//   interval - hours that must pass between two cleanups started by hooks (default 24; 0 runs it every time)
+//   dryRun   - only report what would be done
+function installHooks(hooks = DEFAULT_HOOKS, {
+    cwd = process.cwd(),
+    command = [process.execPath, path.join(__dirname, '..', 'cli.js')],
+    interval = DEFAULT_HOOK_INTERVAL,
+    dryRun = false,
+} = {}) {
+    assertKnownHooks(hooks);
+    if (!(interval >= 0)) throw new Error(`Invalid hook interval '${interval}' (expected a number of hours >= 0)`);
+    const hooksDir = getHooksDir(cwd);
+    return hooks.map(hook => {
+        const hookPath = path.join(hooksDir, hook);
+        const chainedPath = hookPath + CHAINED_SUFFIX;
+        const result = { hook, path: hookPath, installed: false, updated: false, chained: false, error: null };
+        try {
+            const exists = fs.existsSync(hookPath) || isSymlink(hookPath);
+            result.updated = exists && isCleanrepoHook(hookPath);
+            if (exists && !result.updated) {
+                // Never overwrite a hook kept from an earlier installation
+                if (fs.existsSync(chainedPath)) throw new Error(`both ${hook} and ${path.basename(chainedPath)} exist; move one of them away first`);
+                result.chained = true;
+            } else {
+                result.chained = fs.existsSync(chainedPath);
+            }
+            if (!dryRun) {
+                fs.mkdirSync(hooksDir, { recursive: true });
+                if (exists && !result.updated) fs.renameSync(hookPath, chainedPath);
+                fs.writeFileSync(hookPath, buildHookScript(hook, command, interval), { encoding: 'utf8', mode: 0o755 });
+                fs.chmodSync(hookPath, 0o755); // writeFileSync only applies the mode to new files
+            }
+            result.installed = true;
+        } catch (error) {
+            result.error = getErrorDetail(error);
+        }
+        return result;
+    });
+}
+
+// Removes the cleanup from the given hooks of the repository at `cwd` and restores the hooks it chained to.
+// Hooks not written by cleanrepo are left alone. Returns one { hook, path, removed, restored, error } result per
+// hook. Options: cwd, dryRun (see installHooks).
+function uninstallHooks(hooks = Object.keys(HOOK_CONDITIONS), { cwd = process.cwd(), dryRun = false } = {}) {
+    assertKnownHooks(hooks);
+    const hooksDir = getHooksDir(cwd);
+    return hooks.map(hook => {
+        const hookPath = path.join(hooksDir, hook);
+        const chainedPath = hookPath + CHAINED_SUFFIX;
+        const result = { hook, path: hookPath, removed: false, restored: false, error: null };
+        if (!isCleanrepoHook(hookPath)) return result;
+        try {
+            const chained = fs.existsSync(chainedPath) || isSymlink(chainedPath);
+            if (!dryRun) {
+                fs.unlinkSync(hookPath);
+                if (chained) fs.renameSync(chainedPath, hookPath);
+            }
+            result.removed = true;
+            result.restored = chained;
+        } catch (error) {
+            result.error = getErrorDetail(error);
+        }
+        return result;
+    });
+}
+
+// Reads the hook state of the repository at `cwd`: { lastRun, hook, deleted, failed } of the last cleanup a hook
+// started, or null if there was none
+function readHookState(cwd = process.cwd()) {
+    try {
+        return JSON.parse(fs.readFileSync(getStatePath(cwd), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper function to write the hook state (see readHookState)
+function writeHookState(cwd, state) {
+    const statePath = getStatePath(cwd);
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+}
+
+// Lists the hooks cleanrepo can be installed into with their state: { hook, path, installed, chained, other }:
+// `other` is true for an existing hook that was not written by cleanrepo.
+function getHookStatus(cwd = process.cwd()) {
+    const hooksDir = getHooksDir(cwd);
+    return Object.keys(HOOK_CONDITIONS).map(hook => {
+        const hookPath = path.join(hooksDir, hook);
+        const installed = isCleanrepoHook(hookPath);
+        return {
+            hook,
+            path: hookPath,
+            installed,
+            chained: installed && fs.existsSync(hookPath + CHAINED_SUFFIX),
+            other: !installed && (fs.existsSync(hookPath) || isSymlink(hookPath)),
+        };
+    });
+}
+
+// Checks the throttle of hook-started cleanups: returns true, and records the run as started now, unless the last
+// one started less than `interval` hours ago. Recording before the cleanup runs keeps hooks that fire in quick
+// succession (e.g. checkout right after pull) from running it twice.
+function claimHookRun(hook, interval = DEFAULT_HOOK_INTERVAL, { cwd = process.cwd(), now = new Date() } = {}) {
+    const state = readHookState(cwd);
+    const lastRun = state && new Date(state.lastRun);
+    if (lastRun && !isNaN(lastRun.getTime()) && now - lastRun < interval * 60 * 60 * 1000) return false;
+    writeHookState(cwd, { lastRun: now.toISOString(), hook, deleted: [], failed: [] });
+    return true;
+}
+
+// Records the outcome of the cleanup a hook started (see claimHookRun): the deleted branches and the failed ones
+function recordHookRun(results, { cwd = process.cwd() } = {}) {
+    const state = readHookState(cwd) || {};
+    writeHookState(cwd, {
+        ...state,
+        deleted: results.filter(result => result.deleted).map(result => result.branch),
+        failed: results.filter(result => !result.deleted).map(result => ({ branch: result.branch, error: result.error })),
+    });
+}
+
+module.exports = {
+    HOOK_CONDITIONS,
+    DEFAULT_HOOKS,
+    DEFAULT_HOOK_INTERVAL,
+    installHooks,
+    uninstallHooks,
+    getHookStatus,
+    readHookState,
+    claimHookRun,
+    recordHookRun,
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+
+// --- Code Hosting Providers ---
+// A provider looks up the pull requests (merge requests on GitLab) opened from branches. Each provider is
+// { label, defaultBaseUrl(host), tokenEnv, getHeaders(token), listPullRequests(get, project, maxPages),
+// findPullRequests(get, project, branch) }: `get(path)` requests a path below the API base URL and resolves to
+// the parsed JSON response. listPullRequests lists every pull request of the project page by page and resolves
+// to [{ branch, number, state, headSha, url, title, updatedAt }], or to null when that would take more than
+// `maxPages` requests. findPullRequests looks up the pull requests of a single head branch and resolves to the
+// same objects without `branch`. `state` is one of 'open', 'merged' or 'closed' (closed without merging).
+// A provider needs at least one of the two; findPullRequests is optional when the host cannot filter by branch.
+
+// Helper function to split a project path ('owner/repo') into its owner and repository name
+function splitProject(project) {
+    const separator = project.lastIndexOf('/');
+    return [project.substring(0, separator), project.substring(separator + 1)];
+}
+
+// Helper function to request the pages of a list endpoint, `getPagePath(page)` building the path of a page
+// (from 1) that holds up to `pageSize` items. Resolves to all items, or to null once more than `maxPages`
+// pages would be needed.
+async function getAllPages(get, getPagePath, pageSize, maxPages) {
+    const items = [];
+    for (let page = 1; ; page++) {
+        if (page > maxPages) return null;
+        const pageItems = await get(getPagePath(page));
+        items.push(...pageItems);
+        if (pageItems.length < pageSize) return items;
+    }
+}
+
+// Helper function to convert a GitHub pull request
+function fromGitHubPull(pull) {
+    return {
+        number: pull.number,
+        state: pull.state === 'open' ? 'open' : (pull.merged_at ? 'merged' : 'closed'),
+        headSha: pull.head && pull.head.sha,
+        url: pull.html_url,
+        title: pull.title,
+        updatedAt: pull.updated_at,
+    };
+}
+
+// GitLab merge request states; locked ones are still open (being merged)
+const GITLAB_STATES = { opened: 'open', locked: 'open', merged: 'merged', closed: 'closed' };
+
+// Helper function to convert a GitLab merge request
+function fromGitLabRequest(request) {
+    return {
+        number: request.iid,
+        state: GITLAB_STATES[request.state] || 'closed',
+        headSha: request.sha,
+        url: request.web_url,
+        title: request.title,
+        updatedAt: request.updated_at,
+    };
+}
+
+const HOSTING_PROVIDERS = {
+    github: {
+        label: 'GitHub',
+        defaultBaseUrl: host => (host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`),
+        tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'],
+        getHeaders: token => ({
+            Accept: 'application/vnd.github+json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        }),
+        async listPullRequests(get, project, maxPages) {
+            const [owner, repo] = splitProject(project);
+            const pulls = await getAllPages(get, page => `/repos/${owner}/${repo}/pulls?state=all&per_page=100&page=${page}`, 100, maxPages);
+            if (!pulls) return null;
+            // Pull requests opened from forks name a branch of the fork, not of the repository itself
+            return pulls
+                .filter(pull => pull.head && pull.head.repo && pull.base && pull.base.repo && pull.head.repo.full_name === pull.base.repo.full_name)
+                .map(pull => ({ branch: pull.head.ref, ...fromGitHubPull(pull) }));
+        },
+        async findPullRequests(get, project, branch) {
+            const [owner, repo] = splitProject(project);
+            // The head filter only matches pull requests opened from the repository itself, not from forks
+            const head = encodeURIComponent(`${owner}:${branch}`);
+            const pulls = await get(`/repos/${owner}/${repo}/pulls?state=all&head=${head}&per_page=100`);
+            return pulls.map(fromGitHubPull);
+        },
+    },
+    gitlab: {
+        label: 'GitLab',
+        defaultBaseUrl: host => `https://${host}/api/v4`,
+        tokenEnv: ['GITLAB_TOKEN'],
+        getHeaders: token => (token ? { 'PRIVATE-TOKEN': token } : {}),
+        async listPullRequests(get, project, maxPages) {
+            const requests = await getAllPages(get, page => `/projects/${encodeURIComponent(project)}/merge_requests?state=all&per_page=100&page=${page}`, 100, maxPages);
+            if (!requests) return null;
+            // Merge requests opened from forks name a branch of the fork, not of the project itself
+            return requests
+                .filter(request => request.source_project_id === request.project_id)
+                .map(request => ({ branch: request.source_branch, ...fromGitLabRequest(request) }));
+        },
+        async findPullRequests(get, project, branch) {
+            const requests = await get(`/projects/${encodeURIComponent(project)}/merge_requests?state=all&source_branch=${encodeURIComponent(branch)}&per_page=100`);
+            return requests.map(fromGitLabRequest);
+        },
+    },
+    gitea: {
+        label: 'Gitea',
+        defaultBaseUrl: host => `https://${host}/api/v1`,
+        tokenEnv: ['GITEA_TOKEN'],
+        getHeaders: token => (token ? { Authorization: `token ${token}` } : {}),
+        // Gitea cannot filter pull requests by head branch, so there is no findPullRequests
+        async listPullRequests(get, project, maxPages) {
+            const [owner, repo] = splitProject(project);
+            const pulls = await getAllPages(get, page => `/repos/${owner}/${repo}/pulls?state=all&limit=50&page=${page}`, 50, maxPages);
+            if (!pulls) return null;
+            return pulls.filter(pull => pull.head).map(pull => ({
+                branch: pull.head.ref,
+                number: pull.number,
+                state: pull.state === 'open' ? 'open' : (pull.merged ? 'merged' : 'closed'),
+                headSha: pull.head.sha,
+                url: pull.html_url,
+                title: pull.title,
+                updatedAt: pull.updated_at,
+            }));
+        },
+    },
+};
+
+// How long cached API responses are used, in seconds
+const DEFAULT_CACHE_TTL = 600;
+
+// Abort API requests that take longer than this (milliseconds)
+const REQUEST_TIMEOUT = 15000;
+
+// Single-branch lookups run at once when the project's pull requests are not listed as a whole
+const LOOKUP_CONCURRENCY = 8;
+
+// Parses a remote URL (https://host/owner/repo.git, git@host:owner/repo.git or ssh://git@host:22/owner/repo)
+// into { host, project }, where `project` is the repository path without '.git' (GitLab subgroups included).
+// Returns null for URLs that name no host, such as local paths.
+function parseRemoteUrl(url) {
+    const match = url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/i) // scheme://[user@]host[:port]/path
+        || url.match(/^(?:[^@/]+@)?([^/:]+):(?!\/)(.+)$/); // scp-like [user@]host:path
+    if (!match) return null;
+    const project = match[2].replace(/\.git\/?$/, '').replace(/\/+$/, '');
+    if (!project.includes('/')) return null;
+    return { host: match[1].toLowerCase(), project };
+}
+
+// Helper function to guess the provider from a host name; null when it cannot be told
+function detectProvider(host) {
+    if (host === 'github.com' || host.startsWith('github.')) return 'github';
+    if (host === 'gitlab.com' || host.startsWith('gitlab.')) return 'gitlab';
+    if (host === 'codeberg.org' || host.startsWith('gitea.') || host.startsWith('forgejo.')) return 'gitea';
+    return null;
+}
+
+// Helper function to get the path of the on-disk response cache (next to the undo journal)
+function getCachePath(cwd) {
+    const gitDir = runGit(['rev-parse', '--git-common-dir'], { cwd });
+    return path.join(path.resolve(cwd, gitDir), 'cleanrepo', 'pull-requests.json');
+}
+
+// Helper function to read the response cache, starting over if it is missing or unreadable
+function readCache(cachePath) {
+    try {
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        return cache && typeof cache === 'object' && !Array.isArray(cache) ? cache : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Creates a client for the pull requests of the repository at `cwd`. Throws when the provider or project cannot
+// be determined or the provider is unknown.
+// Options:
+//   provider - 'github', 'gitlab', 'gitea' or a provider object (see HOSTING_PROVIDERS); default: detected from
+//              the remote's host
+//   remote   - remote whose URL names the host and project (default 'origin')
+//   baseUrl  - API base URL, e.g. 'https://github.example.com/api/v3' (default: the provider's for the host)
+//   project  - project path on the host, e.g. 'owner/repo' (default: from the remote's URL)
+//   tokenEnv - environment variable holding the API token (default: the provider's, e.g. GITHUB_TOKEN)
+//   cacheTtl - seconds API responses are cached on disk in .git/cleanrepo/ (default 600; 0 disables the cache)
+// Returns { provider, label, baseUrl, project, remote, listPullRequests(maxPages), findPullRequests(branch), saveCache() }:
+// listPullRequests resolves to a map of head branch -> pull requests of the whole project, listed once per client,
+// or to null when the provider cannot list them or (if it can look up single branches instead) listing would take
+// more than `maxPages` requests. findPullRequests is null when the provider cannot look up single branches.
+function createHostingClient(cwd, {
+    provider = null,
+    remote = 'origin',
+    baseUrl = null,
+    project = null,
+    tokenEnv = null,
+    cacheTtl = DEFAULT_CACHE_TTL,
+} = {}) {
+    const remoteUrl = runGit(['remote', 'get-url', '--', remote], { cwd, ignoreError: true });
+    const parsedUrl = remoteUrl ? parseRemoteUrl(remoteUrl) : null;
+    const providerName = typeof provider === 'string' ? provider : (provider ? null : parsedUrl && detectProvider(parsedUrl.host));
+    const hostingProvider = typeof provider === 'object' && provider !== null ? provider : HOSTING_PROVIDERS[providerName];
+    if (!hostingProvider) {
+        throw new Error(providerName
+            ? `Unknown hosting provider '${providerName}' (expected one of: ${Object.keys(HOSTING_PROVIDERS).join(', ')})`
+            : `Could not detect the hosting provider of remote '${remote}'${remoteUrl ? ` (${remoteUrl})` : ''}; set "provider"`);
+    }
+    const projectPath = project || (parsedUrl && parsedUrl.project);
+    const apiBaseUrl = (baseUrl || (parsedUrl && hostingProvider.defaultBaseUrl(parsedUrl.host)) || '').replace(/\/+$/, '');
+    if (!projectPath || !apiBaseUrl) {
+        throw new Error(`Could not tell the ${hostingProvider.label} project from remote '${remote}'${remoteUrl ? ` (${remoteUrl})` : ''}; set "project" and "baseUrl"`);
+    }
+    const tokenVariables = tokenEnv ? [tokenEnv] : hostingProvider.tokenEnv;
+    const tokenVariable = tokenVariables.find(variable => process.env[variable]);
+    const headers = { 'User-Agent': 'cleanrepo', ...hostingProvider.getHeaders(tokenVariable ? process.env[tokenVariable] : null) };
+
+    const cachePath = cacheTtl > 0 ? getCachePath(cwd) : null;
+    const cache = cachePath ? readCache(cachePath) : {};
+    let cacheChanged = false;
+    const pending = new Map(); // Requests in flight, so concurrent lookups share one response
+    let pullRequestsByBranch = null; // The project's pull requests once listed, for every later lookup
+
+    // Requests a path below the API base URL, answering from the cache while its entry is fresh
+    const get = apiPath => {
+        const url = `${apiBaseUrl}${apiPath}`;
+        const cached = cache[url];
+        if (cached && Date.now() - cached.fetchedAt < cacheTtl * 1000) return Promise.resolve(cached.data);
+        if (!pending.has(url)) {
+            pending.set(url, (async () => {
+                const response = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+                if (!response.ok) {
+                    const hint = [401, 403, 404].includes(response.status) && !tokenVariable
+                        ? ` (no token found; set ${tokenVariables.join(' or ')})`
+                        : '';
+                    throw new Error(`${hostingProvider.label} API request failed: ${response.status} ${response.statusText} for ${url}${hint}`);
+                }
+                const data = await response.json();
+                if (!Array.isArray(data)) throw new Error(`${hostingProvider.label} API returned an unexpected response for ${url}`);
+                if (cachePath) {
+                    cache[url] = { fetchedAt: Date.now(), data };
+                    cacheChanged = true;
+                }
+                return data;
+            })());
+        }
+        return pending.get(url);
+    };
+
+    return {
+        provider: providerName,
+        label: hostingProvider.label,
+        baseUrl: apiBaseUrl,
+        project: projectPath,
+        remote,
+        async listPullRequests(maxPages) {
+            if (pullRequestsByBranch) return pullRequestsByBranch;
+            if (!hostingProvider.listPullRequests) return null;
+            const pullRequests = await hostingProvider.listPullRequests(get, projectPath, hostingProvider.findPullRequests ? maxPages : Infinity);
+            if (!pullRequests) return null;
+            pullRequestsByBranch = new Map();
+            pullRequests.forEach(({ branch, ...pullRequest }) => {
+                if (!pullRequestsByBranch.has(branch)) pullRequestsByBranch.set(branch, []);
+                pullRequestsByBranch.get(branch).push(pullRequest);
+            });
+            return pullRequestsByBranch;
+        },
+        findPullRequests: hostingProvider.findPullRequests ? branch => hostingProvider.findPullRequests(get, projectPath, branch) : null,
+        // Writes new responses to the disk cache, dropping expired entries
+        saveCache() {
+            if (!cachePath || !cacheChanged) return;
+            const fresh = Object.fromEntries(Object.entries(cache).filter(([, entry]) => Date.now() - entry.fetchedAt < cacheTtl * 1000));
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify(fresh), 'utf8');
+            cacheChanged = false;
+        },
+    };
+}
+
+// Helper function to pick the pull request that decides a branch's status: an open one (the branch is still in
+// use), otherwise the most recently updated merged or closed one. Returns null if there are none.
+function pickPullRequest(pullRequests) {
+    const open = pullRequests.find(pullRequest => pullRequest.state === 'open');
+    if (open) return open;
+    return [...pullRequests].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+}
+
+// Helper function to run `task` for every item, at most `limit` at a time. Rejects with the first error,
+// after which no further items are started.
+async function forEachConcurrently(items, limit, task) {
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            try {
+                await task(items[next++]);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+// Looks up the pull request status of branches with a hosting client (see createHostingClient).
+// `branches` maps branch names to the name the branch has on the host. The project's pull requests are listed
+// page by page when that takes no more requests than there are branches (and always when the host cannot look
+// up single branches); otherwise the branches are looked up one by one, several at a time.
+// Returns { statuses, error }: a map of branch name to the deciding pull request (see pickPullRequest) for
+// branches that have one, and the error that stopped the lookup early (e.g. a rate limit), if any.
+async function getPullRequestStatuses(client, branches) {
+    const found = new Map();
+    const noteStatus = (branch, pullRequests) => {
+        const pullRequest = pickPullRequest(pullRequests);
+        if (pullRequest) found.set(branch, pullRequest);
+    };
+    let lookupError = null;
+    try {
+        const pullRequestsByBranch = branches.size > 0 ? await client.listPullRequests(branches.size) : null;
+        if (pullRequestsByBranch) {
+            branches.forEach((hostBranch, branch) => noteStatus(branch, pullRequestsByBranch.get(hostBranch) || []));
+        } else if (branches.size > 0) {
+            await forEachConcurrently([...branches], LOOKUP_CONCURRENCY, async ([branch, hostBranch]) => {
+                noteStatus(branch, await client.findPullRequests(hostBranch));
+            });
+        }
+    } catch (error) {
+        // Network errors of fetch() only say 'fetch failed'; the cause names the actual problem
+        lookupError = error.name === 'TimeoutError'
+            ? `${client.label} API request timed out`
+            : (error.cause ? `${error.message}: ${error.cause.message || error.cause.code}` : error.message);
+    } finally {
+        client.saveCache();
+    }
+    // Concurrent lookups finish in any order; keep the order of `branches`
+    const statuses = new Map([...branches.keys()].filter(branch => found.has(branch)).map(branch => [branch, found.get(branch)]));
+    return { statuses, error: lookupError };
+}
+
+module.exports = {
+    HOSTING_PROVIDERS,
+    parseRemoteUrl,
+    createHostingClient,
+    getPullRequestStatuses,
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+const { getErrorDetail } = require('./delete');
+
+// Ways to compact the object store, with the command each one runs
+const GC_MODES = {
+    gc: 'git gc',
+    maintenance: 'git maintenance run',
+};
+
+// Lists the stashes of the repository at `cwd`, newest first. Returns [{ ref, index, sha, date, branch, message }]:
+// `ref` is the stash's current name (stash@{<index>}), `date` when it was created (ISO) and `branch` the branch it
+// was created on (null for a detached HEAD).
+function listStashes(cwd = process.cwd()) {
+    const output = runGit(['stash', 'list', '--format=%gd%x00%H%x00%cI%x00%gs'], { cwd, ignoreError: true });
+    return output.split('\n').filter(Boolean).map(line => {
+        const [ref, sha, date, subject] = line.split('\0');
+        // Subjects look like "WIP on <branch>: <sha> <commit subject>" or "On <branch>: <message>"
+        const match = subject.match(/^(?:WIP on|On) (.+?): (.*)$/);
+        const branch = match && match[1] !== '(no branch)' ? match[1] : null;
+        return {
+            ref,
+            index: parseInt(ref.match(/\{(\d+)\}$/)[1], 10),
+            sha,
+            date,
+            branch,
+            message: match ? match[2] : subject,
+        };
+    });
+}
+
+// Drops the given stashes (as returned by listStashes). Stashes are dropped from the highest index down, so the
+// remaining ones keep their names, and each is only dropped while its name still points at the listed commit.
+// Returns one { ref, sha, branch, message, dropped, error } result per stash, in the given order. A dropped stash
+// stays recoverable until garbage collection with `git stash store -m <message> <sha>`.
+function dropStashes(stashes, { cwd = process.cwd() } = {}) {
+    const results = new Map();
+    [...stashes].sort((a, b) => b.index - a.index).forEach(stash => {
+        const result = { ref: stash.ref, sha: stash.sha, branch: stash.branch, message: stash.message, dropped: false, error: null };
+        try {
+            const current = runGit(['rev-parse', '--verify', '--quiet', `refs/stash@{${stash.index}}`], { cwd, ignoreError: true });
+            if (current !== stash.sha) throw new Error(`${stash.ref} no longer points at ${stash.sha.substring(0, 7)}`);
+            runGit(['stash', 'drop', '--quiet', `stash@{${stash.index}}`], { cwd });
+            result.dropped = true;
+        } catch (error) {
+            result.error = getErrorDetail(error);
+        }
+        results.set(stash, result);
+    });
+    return stashes.map(stash => results.get(stash));
+}
+
+// Helper function to list the refs that have a reflog, except the stash: its reflog holds the stashes themselves
+function getReflogRefs(cwd) {
+    const output = runGit(['log', '-g', '--all', '--format=%gD'], { cwd, ignoreError: true, maxBuffer: 1024 * 1024 * 50 });
+    const refs = new Set(output.split('\n').filter(Boolean).map(selector => selector.replace(/@\{[^}]*\}$/, '')));
+    refs.delete('refs/stash');
+    return [...refs];
+}
+
+// Expires reflog entries older than `days` days of every ref except refs/stash (which `git reflog expire --all`
+// would empty as well). Entries are what keeps commits of deleted or rewritten branches from being collected by
+// `git gc`. Returns the number of entries expired (or, with `dryRun`, that would be).
+function expireReflogs(days, { cwd = process.cwd(), dryRun = false } = {}) {
+    const refs = getReflogRefs(cwd);
+    const expire = `${days}.days.ago`;
+    let expired = 0;
+    // Batched, so repositories with thousands of remote branches stay below the command line length limit
+    for (let start = 0; start < refs.length; start += 500) {
+        const args = ['reflog', 'expire', `--expire=${expire}`, `--expire-unreachable=${expire}`, '--verbose'];
+        if (dryRun) args.push('--dry-run');
+        const output = runGit([...args, ...refs.slice(start, start + 500)], { cwd, maxBuffer: 1024 * 1024 * 50 });
+        expired += output.split('\n').filter(line => /^(would )?prune /.test(line)).length;
+    }
+    return expired;
+}
+
+// Compacts the object store with `git gc` or `git maintenance run` (see GC_MODES). Throws if git fails.
+function collectGarbage(mode = 'gc', { cwd = process.cwd() } = {}) {
+    if (!GC_MODES[mode]) {
+        throw new Error(`Unknown gc mode '${mode}' (expected one of: ${Object.keys(GC_MODES).join(', ')})`);
+    }
+    runGit(mode === 'gc' ? ['gc', '--quiet'] : ['maintenance', 'run', '--quiet'], { cwd, maxBuffer: 1024 * 1024 * 50 });
+}
+
+// Returns the size in bytes of the repository's .git directory (the main one when run from a linked worktree).
+// Symbolic links are not followed and files that disappear while counting (e.g. during gc) are skipped.
+function getGitDirSize(cwd = process.cwd()) {
+    const gitDir = path.resolve(cwd, runGit(['rev-parse', '--git-common-dir'], { cwd }));
+    let size = 0;
+    const walk = dir => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.forEach(entry => {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else if (entry.isFile()) {
+                try {
+                    size += fs.statSync(entryPath).size;
+                } catch (error) {
+                    // Removed in the meantime
+                }
+            }
+        });
+    };
+    walk(gitDir);
+    return size;
+}
+
+module.exports = {
+    GC_MODES,
+    listStashes,
+    dropStashes,
+    expireReflogs,
+    collectGarbage,
+    getGitDirSize,
+};
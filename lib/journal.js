@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit, assertValidRefName } = require('./git');
+
+// --- Undo Journal ---
+// Every deletion is appended as one JSON line to .git/cleanrepo/journal.jsonl so `cleanrepo restore`
+// can recreate the branch (or tag) from its recorded SHA.
+
+function getJournalPath(cwd) {
+    // --git-common-dir points at the main .git directory even when run from a linked worktree
+    const gitDir = runGit(['rev-parse', '--git-common-dir'], { cwd });
+    return path.join(path.resolve(cwd, gitDir), 'cleanrepo', 'journal.jsonl');
+}
+
+// Helper function to record a deletion; `entry` holds { branch, type, remote, sha, reason }, with `tag`
+// instead of `branch` for deleted tags.
+// `session` identifies all deletions made by one cleanup run.
+function recordDeletion(cwd, session, entry) {
+    const journalPath = getJournalPath(cwd);
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    const record = { session, timestamp: new Date().toISOString(), remote: null, ...entry };
+    fs.appendFileSync(journalPath, JSON.stringify(record) + '\n', 'utf8');
+}
+
+// Helper function to read all journal entries, skipping lines that cannot be parsed
+function readJournal(cwd = process.cwd()) {
+    const journalPath = getJournalPath(cwd);
+    if (!fs.existsSync(journalPath)) return [];
+    return fs.readFileSync(journalPath, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Helper function to group journal entries by session; returns a Map ordered newest session first
+function groupJournalBySession(entries) {
+    const sessions = new Map();
+    entries.forEach(entry => {
+        if (!sessions.has(entry.session)) sessions.set(entry.session, []);
+        sessions.get(entry.session).push(entry);
+    });
+    return new Map(Array.from(sessions.entries()).sort(([a], [b]) => (a < b ? 1 : -1)));
+}
+
+// Recreates the branch (or tag) of one journal entry locally at its recorded SHA and, with `push`,
+// re-pushes remote entries to their remote. Returns { created, pushed }; throws on failure.
+function restoreJournalEntry(entry, { cwd = process.cwd(), push = false } = {}) {
+    const isTag = entry.tag !== undefined;
+    const name = isTag ? entry.tag : entry.branch;
+    const refName = isTag ? `refs/tags/${entry.tag}` : `refs/heads/${entry.branch}`;
+    // The journal is a plain file, so check what it holds before handing it to git
+    assertValidRefName(name, isTag ? 'tag' : 'branch');
+    if (!/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(entry.sha)) {
+        throw new Error(`Invalid commit SHA '${entry.sha}' in the undo journal`);
+    }
+    // The commit (or tag object) may have been garbage collected since the deletion
+    runGit(['cat-file', '-e', isTag ? entry.sha : `${entry.sha}^{commit}`], { cwd });
+
+    let created = false;
+    const existingSha = runGit(['rev-parse', '--verify', '--quiet', refName], { cwd, ignoreError: true });
+    if (!existingSha) {
+        // update-ref keeps annotated tags intact: the ref points at the recorded tag object again
+        runGit(isTag ? ['update-ref', refName, entry.sha] : ['branch', '--', entry.branch, entry.sha], { cwd });
+        created = true;
+    } else if (existingSha !== entry.sha) {
+        throw new Error(`local ${isTag ? 'tag' : 'branch'} '${name}' already exists at a different ${isTag ? 'object' : 'commit'}`);
+    }
+
+    let pushed = false;
+    if (push && entry.type === 'remote') {
+        assertValidRefName(entry.remote, 'remote');
+        runGit(['push', '--', entry.remote, `${entry.sha}:${refName}`], { cwd });
+        pushed = true;
+    }
+    return { created, pushed };
+}
+
+module.exports = {
+    getJournalPath,
+    recordDeletion,
+    readJournal,
+    groupJournalBySession,
+    restoreJournalEntry,
+};
@@ -0,0 +1,183 @@
+const { runGit } = require('./git');
+const { getReachableTipHashes, getCommitGraph, walkCommitGraph } = require('./refs');
+
+// Human readable labels for each merge detection strategy
+const MERGE_STRATEGY_LABELS = {
+    'merge-commit': 'merge commit',
+    'fast-forward': 'fast-forward',
+    'rebase': 'rebase/cherry-pick',
+    'squash': 'squash',
+    'pull-request': 'merged pull request',
+};
+
+// Helper function to find the commit hashes that were merged into a base ref (e.g. main or origin/main)
+function getDirectlyMergedCommitHashes(cwd, fullBase) {
+    const mergedHashes = new Set();
+    // Use --first-parent to follow only the main line of the base branch
+    const output = runGit(['log', fullBase, '--merges', '--first-parent', '--pretty=format:%P', '--'], { cwd, ignoreError: true }); // Ignore errors initially
+    if (output === '') return mergedHashes; // Return empty set on failure or empty output
+
+    output.split('\n').filter(line => line.trim()).forEach(line => {
+        const parents = line.trim().split(' ');
+        if (parents.length > 1) { // Ensure there's a second parent
+            mergedHashes.add(parents[1]); // Add the second parent hash
+        }
+    });
+    return mergedHashes;
+}
+
+// Patches can be large, so allow far more output than other git commands
+const PATCH_MAX_BUFFER = 1024 * 1024 * 256;
+
+// Newest commits of a base searched for the rebased or squashed counterparts of a branch. Reading a base's whole
+// history for every merge-base is slow on long-lived repositories; branches squashed or rebased onto the base
+// longer ago than this are not recognised as merged (they are still found by the stale check).
+const BASE_HISTORY_LIMIT = 2000;
+
+// Helper function to compute `git patch-id --stable` for the patch printed by a git command (given as args, with
+// `input` on its stdin if given)
+function getPatchIdOutput(cwd, args, input) {
+    const patch = runGit(args, { cwd, ignoreError: true, input, maxBuffer: PATCH_MAX_BUFFER });
+    if (!patch) return '';
+    return runGit(['patch-id', '--stable'], { cwd, ignoreError: true, input: `${patch}\n` });
+}
+
+// Helper function to read the newest BASE_HISTORY_LIMIT commits of a base ref in a single `git log` pass.
+// Returns a map of commit hash -> { tree, parents }, newest first.
+function getBaseHistory(cwd, fullBase) {
+    const history = new Map();
+    const output = runGit(['--no-pager', 'log', `--max-count=${BASE_HISTORY_LIMIT}`, '--format=%H%x00%T%x00%P', fullBase, '--'], { cwd, ignoreError: true });
+    output.split('\n').filter(Boolean).forEach(line => {
+        const [hash, tree, parents] = line.split('\0');
+        history.set(hash, { tree, parents: parents ? parents.split(' ') : [] });
+    });
+    return history;
+}
+
+// Helper function to get the commits of `history` (see getBaseHistory) that are not ancestors of `mergeBase`: the
+// searched part of `<mergeBase>..<base>`. Returns { commits, trees, patchIds }, cached per merge-base in `cache`;
+// `patchIds` is filled by the rebase check.
+function getCommitsSince(history, mergeBase, cache) {
+    if (cache.has(mergeBase)) return cache.get(mergeBase);
+    const ancestors = new Set();
+    const pending = [mergeBase];
+    while (pending.length > 0) {
+        const hash = pending.pop();
+        if (ancestors.has(hash) || !history.has(hash)) continue;
+        ancestors.add(hash);
+        pending.push(...history.get(hash).parents);
+    }
+    const commits = [...history.keys()].filter(hash => !ancestors.has(hash));
+    const range = { commits, trees: new Set(commits.map(hash => history.get(hash).tree)), patchIds: null };
+    cache.set(mergeBase, range);
+    return range;
+}
+
+// Helper function to add the stable patch-ids of commits to `cache` (commit hash -> patch-id, shared by every
+// merge-base and base), reading the patches of the uncached ones in one `git log -p` pass. Merge commits and
+// empty commits have no patch-id (null).
+function loadPatchIds(cwd, hashes, cache) {
+    const missing = [...new Set(hashes)].filter(hash => !cache.has(hash));
+    if (missing.length === 0) return;
+    missing.forEach(hash => cache.set(hash, null));
+    const args = ['--no-pager', 'log', '-p', '--no-walk=unsorted', '--stdin', '--format=commit %H', '--no-color', '--no-ext-diff'];
+    getPatchIdOutput(cwd, args, `${missing.join('\n')}\n`).split('\n').filter(line => line.trim()).forEach(line => {
+        const [patchId, hash] = line.trim().split(' ');
+        cache.set(hash, patchId);
+    });
+}
+
+// Helper function to get the stable patch-ids of each branch's combined changes (`git diff <mergeBase> <tip>`) in
+// one `git diff-tree --stdin` pass. `branches` lists { commitHash, mergeBase }. Returns a map of tip -> patch-id.
+function getCombinedPatchIds(cwd, branches) {
+    const patchIds = new Map();
+    if (branches.length === 0) return patchIds;
+    // A line "<commit> <parent>" diffs the commit against the given parent
+    const input = `${branches.map(branch => `${branch.commitHash} ${branch.mergeBase}`).join('\n')}\n`;
+    getPatchIdOutput(cwd, ['diff-tree', '-p', '--stdin'], input).split('\n').filter(line => line.trim()).forEach(line => {
+        const [patchId, hash] = line.trim().split(' ');
+        patchIds.set(hash, patchId);
+    });
+    return patchIds;
+}
+
+// Merge detection engine: returns a Map of branch name -> { strategy, commitHash } for every
+// branch in branchTips whose changes are already in fullBase. Strategies are tried in order:
+//   merge-commit - tip is the second parent of a merge on the base's first-parent line
+//   fast-forward - tip is reachable from the base (e.g. fast-forward merged); tips sitting exactly on the base's
+//                  tip are skipped, as nothing was merged from them (e.g. a branch just created from the base)
+//   rebase       - every unique commit has a patch-equivalent commit on the base (like git cherry)
+//   squash       - the branch's combined changes landed as a single commit on the base: a base commit has
+//                  exactly the branch tip's tree, or the same patch-id as the branch's combined diff
+// The rebase and squash counterparts are searched in the newest BASE_HISTORY_LIMIT commits of the base. Every
+// check reads all branches at once, so the number of git processes does not grow with the number of branches.
+// Options:
+//   patchIdCache - map of commit hash -> patch-id to share between calls (e.g. for several bases)
+function detectMergedBranches(cwd, fullBase, branchTips, skipBranches = new Set(), { patchIdCache = new Map() } = {}) {
+    const merged = new Map();
+    const directlyMergedHashes = getDirectlyMergedCommitHashes(cwd, fullBase);
+    const reachableHashes = getReachableTipHashes(cwd, fullBase);
+    const baseHash = runGit(['rev-parse', '--verify', '--quiet', `${fullBase}^{commit}`], { cwd, ignoreError: true });
+
+    const unmerged = new Map(); // Branches with commits the base does not have: branch name -> tip
+    branchTips.forEach((commitHash, branchName) => {
+        if (skipBranches.has(branchName) || commitHash === baseHash) return;
+
+        if (directlyMergedHashes.has(commitHash)) {
+            merged.set(branchName, { strategy: 'merge-commit', commitHash });
+        } else if (reachableHashes.has(commitHash)) {
+            merged.set(branchName, { strategy: 'fast-forward', commitHash });
+        } else {
+            unmerged.set(branchName, commitHash);
+        }
+    });
+    if (unmerged.size === 0) return merged;
+
+    // The commits of every remaining branch that are not in the base, read in one pass
+    const graph = getCommitGraph(cwd, [...new Set(unmerged.values())], [fullBase]);
+    const baseHistory = getBaseHistory(cwd, fullBase);
+    const rangeCache = new Map();
+    let branches = [];
+    unmerged.forEach((commitHash, branchName) => {
+        const { commits, boundary } = walkCommitGraph(graph, commitHash);
+        // The branch's history joins the base's at its merge-base. A branch that merged the base in joins it at
+        // several commits, and git picks the best one of them.
+        const mergeBase = boundary.length > 1 ? runGit(['merge-base', fullBase, commitHash], { cwd, ignoreError: true }) : boundary[0];
+        if (!mergeBase) return; // No common history
+        branches.push({ branchName, commitHash, commits, mergeBase, baseRange: getCommitsSince(baseHistory, mergeBase, rangeCache) });
+    });
+
+    // rebase: compare the patch-ids of the branches' commits (except merges) with those of the base since their merge-base
+    const ranges = [...new Set(branches.map(branch => branch.baseRange))];
+    loadPatchIds(cwd, [...branches.flatMap(branch => branch.commits), ...ranges.flatMap(range => range.commits)], patchIdCache);
+    ranges.forEach(range => {
+        range.patchIds = new Set(range.commits.map(hash => patchIdCache.get(hash)).filter(Boolean));
+    });
+    branches = branches.filter(branch => {
+        const commits = branch.commits.filter(hash => graph.get(hash).parents.length <= 1);
+        if (commits.length === 0 || !commits.every(hash => branch.baseRange.patchIds.has(patchIdCache.get(hash)))) return true;
+        merged.set(branch.branchName, { strategy: 'rebase', commitHash: branch.commitHash });
+        return false;
+    });
+
+    // squash: only branches not found merged by the strategies above pay for their combined diff
+    branches = branches.filter(branch => {
+        if (!branch.baseRange.trees.has(graph.get(branch.commitHash).tree)) return true;
+        merged.set(branch.branchName, { strategy: 'squash', commitHash: branch.commitHash });
+        return false;
+    });
+    const combinedPatchIds = getCombinedPatchIds(cwd, branches);
+    branches.forEach(branch => {
+        if (branch.baseRange.patchIds.has(combinedPatchIds.get(branch.commitHash))) {
+            merged.set(branch.branchName, { strategy: 'squash', commitHash: branch.commitHash });
+        }
+    });
+    // Report the branches in the order they were given
+    return new Map([...branchTips.keys()].filter(branchName => merged.has(branchName)).map(branchName => [branchName, merged.get(branchName)]));
+}
+
+module.exports = {
+    MERGE_STRATEGY_LABELS,
+    getDirectlyMergedCommitHashes,
+    detectMergedBranches,
+};
@@ -0,0 +1,214 @@
+const { runGit } = require('./git');
+
+// Dates a branch's staleness can be judged by, with their display labels
+const STALE_DATE_SOURCES = {
+    committer: 'committer date',
+    author: 'author date',
+    reflog: 'last reflog activity',
+};
+
+// Fields read per branch by getBranchRefs, in output order
+const BRANCH_REF_FORMAT = [
+    '%(refname)',
+    '%(symref)',
+    '%(objectname)',
+    '%(committerdate:unix)',
+    '%(committerdate:iso-strict)',
+    '%(authordate:unix)',
+    '%(authordate:iso-strict)',
+    '%(authorname)',
+    '%(authoremail)',
+    '%(upstream:short)',
+    '%(upstream:track,nobracket)',
+].join('%00');
+
+// Gathers the metadata of every local branch (remote = null) or every branch of a remote in a single
+// `git for-each-ref` pass, so the merged and stale checks never spawn one git process per branch.
+// Returns a map of branch name (as named on the remote, for remote branches) to
+// { sha, timestamp, date, authorTimestamp, authorDate, author, upstream, upstreamStatus }: tip SHA,
+// committer and author timestamps (Unix seconds) and dates (ISO), author ("Name <email>") and, for local
+// branches with a tracking branch, the
+// upstream and its status ('in sync', 'gone', 'ahead N', 'behind N' or 'ahead N, behind M'; null otherwise).
+function getBranchRefs(cwd, remote = null) {
+    const branchMap = new Map();
+    // Use full refnames so the prefix can be stripped exactly, even for branch or remote names containing slashes
+    const refPrefix = getRefPrefix(remote);
+    const output = runGit(['for-each-ref', `--format=${BRANCH_REF_FORMAT}`, refPrefix], { cwd, ignoreError: true }); // Ignore errors initially
+    if (output === '') return branchMap; // Return empty map on failure
+
+    output.split('\n').forEach(line => {
+        const [refName, symref, sha, timestamp, date, authorTimestamp, authorDate, authorName, authorEmail, upstream, track] = line.trim().split('\0');
+        // Avoid adding symbolic refs such as <remote>/HEAD
+        if (!refName || !sha || symref || !refName.startsWith(refPrefix)) return;
+        const branchName = refName.substring(refPrefix.length);
+        if (!branchName) return;
+        branchMap.set(branchName, {
+            sha,
+            timestamp: parseInt(timestamp, 10),
+            date,
+            authorTimestamp: parseInt(authorTimestamp, 10),
+            authorDate,
+            author: `${authorName} ${authorEmail}`, // %(authoremail) keeps its angle brackets
+            upstream: upstream || null,
+            upstreamStatus: upstream ? (track || 'in sync') : null,
+        });
+    });
+    return branchMap;
+}
+
+// Helper function to find when each local branch was last used according to the reflogs: the latest
+// entry of the branch's own reflog (commits, resets, creation) or of HEAD's reflog checking it out.
+// Reads the HEAD and local branch reflogs in one `git log -g` pass; remote-tracking reflogs only record
+// fetches and are left out. Returns a map of branch -> Unix timestamp; branches without reflog entries
+// (e.g. expired) are missing. Throws when the reflogs cannot be read.
+function getReflogActivityMap(cwd) {
+    const activity = new Map();
+    // `--glob` keeps full ref names in the output, unlike `--branches`; HEAD is only given when it has a
+    // reflog, as git rejects it otherwise
+    let hasHeadReflog = true;
+    try {
+        runGit(['reflog', 'exists', 'HEAD'], { cwd });
+    } catch (error) {
+        hasHeadReflog = false;
+    }
+    const args = ['log', '-g', '--glob=refs/heads/*', ...(hasHeadReflog ? ['HEAD'] : []), '--date=unix', '--format=%gD%x09%gs', '--'];
+    const output = runGit(args, { cwd, maxBuffer: 1024 * 1024 * 256 });
+    const noteActivity = (branch, timestamp) => {
+        if (!(timestamp > (activity.get(branch) || 0))) return;
+        activity.set(branch, timestamp);
+    };
+
+    output.split('\n').forEach(line => {
+        // Entries look like "refs/heads/<branch>@{<timestamp>}\t<subject>" or "HEAD@{<timestamp>}\t<subject>"
+        const match = line.match(/^(.+)@\{(\d+)\}\t(.*)$/);
+        if (!match) return;
+        const [, ref, timestamp, subject] = match;
+        if (ref.startsWith('refs/heads/')) {
+            noteActivity(ref.substring('refs/heads/'.length), parseInt(timestamp, 10));
+            return;
+        }
+        const checkout = ref === 'HEAD' && subject.match(/^checkout: moving from .+ to (\S+)$/);
+        if (checkout) noteActivity(checkout[1], parseInt(timestamp, 10));
+    });
+    return activity;
+}
+
+// Returns the set of commit hashes of local and remote-tracking branch tips that are reachable from a base ref
+// (e.g. fast-forward merged into it), read in a single `git for-each-ref --merged` pass
+function getReachableTipHashes(cwd, fullBase) {
+    const output = runGit(['for-each-ref', `--merged=${fullBase}`, '--format=%(objectname)', 'refs/heads/', 'refs/remotes/'], { cwd, ignoreError: true });
+    return new Set(output.split('\n').filter(Boolean));
+}
+
+// Reads the commits reachable from any of `refs` but from none of `excludeArgs` (refs, or options such as
+// '--remotes') in one `git log` pass, so per-branch questions are answered without a git process per branch.
+// Returns a map of commit hash -> { index, parents, tree, author } in git log order (newest first).
+function getCommitGraph(cwd, refs, excludeArgs) {
+    const graph = new Map();
+    if (refs.length === 0) return graph;
+    // The refs are read from stdin, so thousands of branches stay below the command line length limit
+    const output = runGit(['--no-pager', 'log', '--format=%H%x00%P%x00%T%x00%an <%ae>', '--stdin', '--not', ...excludeArgs, '--'], {
+        cwd,
+        input: `${refs.join('\n')}\n`,
+        maxBuffer: 1024 * 1024 * 256,
+    });
+    output.split('\n').filter(Boolean).forEach(line => {
+        const [hash, parents, tree, author] = line.split('\0');
+        graph.set(hash, { index: graph.size, parents: parents ? parents.split(' ') : [], tree, author });
+    });
+    return graph;
+}
+
+// Walks a commit graph (see getCommitGraph) from `hash`. Returns { commits, boundary }: the graph's commits
+// reachable from it, newest first, and the commits outside the graph their parents lead to (for a graph that
+// excludes a base: where the branch's history joins the base's).
+function walkCommitGraph(graph, hash) {
+    const commits = new Set();
+    const boundary = new Set();
+    const pending = [hash];
+    while (pending.length > 0) {
+        const next = pending.pop();
+        if (commits.has(next) || boundary.has(next)) continue;
+        if (!graph.has(next)) {
+            boundary.add(next);
+            continue;
+        }
+        commits.add(next);
+        pending.push(...graph.get(next).parents);
+    }
+    return {
+        commits: [...commits].sort((a, b) => graph.get(a).index - graph.get(b).index),
+        boundary: [...boundary],
+    };
+}
+
+// Lists the authors ("Name <email>") of the commits on each branch that are in none of `fullBases` (one base ref
+// or a list), most frequent first, reading every branch in one pass. `branches` maps branch refs to their
+// metadata (see getBranchRefs); a branch without such commits (e.g. merge-committed) is attributed to the author
+// of its tip commit. Returns a map of ref -> authors.
+function getBranchAuthorsMap(cwd, branches, fullBases) {
+    const graph = getCommitGraph(cwd, [...branches.keys()], [].concat(fullBases));
+    const authorsByRef = new Map();
+    branches.forEach((details, ref) => {
+        const counts = new Map();
+        walkCommitGraph(graph, details.sha).commits.forEach(hash => {
+            const author = graph.get(hash).author;
+            counts.set(author, (counts.get(author) || 0) + 1);
+        });
+        // Sort is stable, so equally frequent authors keep the order of their latest commit
+        const authors = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+        authorsByRef.set(ref, authors.length > 0 ? authors : [details.author].filter(Boolean));
+    });
+    return authorsByRef;
+}
+
+// Helper function to get the ref namespace holding local (remote = null) or a remote's branches
+function getRefPrefix(remote = null) {
+    return remote ? `refs/remotes/${remote}/` : 'refs/heads/';
+}
+
+// Helper function to count the commits `ref` is ahead of and behind `fullBase`. Returns { ahead, behind },
+// or nulls if either ref cannot be read.
+function getAheadBehind(cwd, ref, fullBase) {
+    const output = runGit(['rev-list', '--left-right', '--count', `${fullBase}...${ref}`, '--'], { cwd, ignoreError: true });
+    const [behind, ahead] = output.split(/\s+/).map(count => parseInt(count, 10));
+    if (isNaN(behind) || isNaN(ahead)) return { ahead: null, behind: null };
+    return { ahead, behind };
+}
+
+// Counts the commits each of `refs` is ahead of and behind `fullBase`: with one `git for-each-ref` on git 2.41
+// and later, which has the ahead-behind field, otherwise with getAheadBehind per ref. Returns a map of
+// ref -> { ahead, behind }.
+function getAheadBehindMap(cwd, refs, fullBase) {
+    const counts = new Map();
+    if (refs.length === 0) return counts;
+    try {
+        // Batched, so thousands of branches stay below the command line length limit
+        for (let start = 0; start < refs.length; start += 500) {
+            const output = runGit(['for-each-ref', `--format=%(refname)%00%(ahead-behind:${fullBase})`, ...refs.slice(start, start + 500)], { cwd });
+            output.split('\n').filter(Boolean).forEach(line => {
+                const [ref, aheadBehind] = line.split('\0');
+                const [ahead, behind] = aheadBehind.split(' ').map(count => parseInt(count, 10));
+                counts.set(ref, { ahead, behind });
+            });
+        }
+    } catch (error) {
+        // Older git rejects the field; the refs not counted yet are counted one by one below
+    }
+    refs.forEach(ref => {
+        if (!counts.has(ref)) counts.set(ref, getAheadBehind(cwd, ref, fullBase));
+    });
+    return counts;
+}
+
+module.exports = {
+    STALE_DATE_SOURCES,
+    getBranchRefs,
+    getReflogActivityMap,
+    getReachableTipHashes,
+    getCommitGraph,
+    walkCommitGraph,
+    getBranchAuthorsMap,
+    getAheadBehindMap,
+    getRefPrefix,
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+const { getBranchRefs, getBranchAuthorsMap, getAheadBehindMap, getRefPrefix } = require('./refs');
+
+// Bumped when the embedded report data changes incompatibly, so older reports are not misread
+const REPORT_VERSION = 1;
+
+// Report output formats, with their display labels
+const REPORT_FORMATS = {
+    markdown: 'Markdown',
+    html: 'HTML',
+};
+
+// Categories a branch is reported in, in display order. Candidates keep the category of the check that found
+// them; candidates skipped by a protect pattern, author filter, worktree or open pull request are 'protected',
+// and every other branch is 'active'.
+const REPORT_CATEGORIES = {
+    merged: 'Merged',
+    closed: 'Closed pull request',
+    gone: 'Upstream gone',
+    stale: 'Stale',
+    protected: 'Protected',
+    active: 'Active',
+};
+
+// Age histogram buckets by last commit, as upper bounds in days
+const AGE_BUCKETS = [
+    { label: '< 1 week', days: 7 },
+    { label: '1-4 weeks', days: 28 },
+    { label: '1-3 months', days: 91 },
+    { label: '3-6 months', days: 182 },
+    { label: '6-12 months', days: 365 },
+    { label: '> 1 year', days: Infinity },
+];
+
+// The report data is embedded in every rendered report so a later run can compare against it. Base64, so
+// branch names cannot end the HTML comment.
+const DATA_MARKER = 'cleanrepo-report:';
+
+// Helper function to list every branch of one analysed set (see analyzeBranchSet in lib/analyze.js) except its
+// bases, with the category it is reported in
+function collectBranchSet(cwd, branchSet, remote) {
+    const refPrefix = getRefPrefix(remote);
+    const candidates = new Map();
+    [...branchSet.merged, ...branchSet.closed, ...branchSet.gone, ...branchSet.stale].forEach(candidate => {
+        if (!candidates.has(candidate.branch)) candidates.set(candidate.branch, candidate);
+    });
+    const protectedEntries = new Map(branchSet.protected.map(entry => [entry.branch, entry]));
+
+    const branchRefs = getBranchRefs(cwd, remote);
+    // Candidates already carry their owner and position; other branches are measured against the first base, all
+    // of them in one pass
+    const others = new Map([...branchRefs]
+        .filter(([branch]) => !candidates.has(branch) && !branchSet.bases.includes(remote ? `${remote}/${branch}` : branch))
+        .map(([branch, details]) => [`${refPrefix}${branch}`, details]));
+    const authorsByRef = branchSet.base ? getBranchAuthorsMap(cwd, others, branchSet.bases) : new Map();
+    const aheadBehindByRef = branchSet.base ? getAheadBehindMap(cwd, [...others.keys()], branchSet.base) : new Map();
+
+    const entries = [];
+    branchRefs.forEach((details, branch) => {
+        const name = remote ? `${remote}/${branch}` : branch;
+        if (branchSet.bases.includes(name)) return;
+        const candidate = candidates.get(branch);
+        const protectedEntry = protectedEntries.get(branch);
+        let position = candidate;
+        if (!candidate) {
+            const ref = `${refPrefix}${branch}`;
+            const authors = authorsByRef.get(ref) || [details.author];
+            position = { owner: authors[0] || null, base: branchSet.base, ...(aheadBehindByRef.get(ref) || { ahead: null, behind: null }) };
+        }
+        let category = 'active';
+        if (candidate) category = candidate.category;
+        else if (protectedEntry) category = 'protected';
+        entries.push({
+            name,
+            branch,
+            type: remote ? 'remote' : 'local',
+            remote,
+            category,
+            reason: candidate ? candidate.reason : (protectedEntry ? protectedEntry.reason : null),
+            sha: details.sha,
+            lastCommitDate: details.date,
+            owner: position.owner,
+            base: position.base,
+            ahead: position.ahead,
+            behind: position.behind,
+        });
+    });
+    return entries;
+}
+
+// Builds the branch health report of an analysis (as returned by analyzeBranches). Returns { version,
+// generatedAt, repository, bases, stale, remotes, branches }: `branches` lists every analysed branch except the
+// bases as { name, branch, type, remote, category, reason, sha, lastCommitDate, owner, base, ahead, behind },
+// with `category` one of REPORT_CATEGORIES.
+// Options:
+//   now   - date the report is generated at, which branch ages are measured from (default: now)
+//   stale - description of the stale cutoff shown in the report (e.g. 'for >= 120 days by committer date'), if
+//           the stale check ran
+function buildBranchReport(analysis, { now = new Date(), stale = null } = {}) {
+    const cwd = analysis.cwd;
+    const topLevel = runGit(['rev-parse', '--show-toplevel'], { cwd, ignoreError: true });
+    const branches = [
+        ...collectBranchSet(cwd, analysis.local, null),
+        ...Object.entries(analysis.remotes).flatMap(([remote, branchSet]) => collectBranchSet(cwd, branchSet, remote)),
+    ];
+    return {
+        version: REPORT_VERSION,
+        generatedAt: new Date(now).toISOString(),
+        repository: path.basename(topLevel || path.resolve(cwd)),
+        bases: analysis.basePatterns,
+        stale,
+        remotes: Object.keys(analysis.remotes),
+        branches,
+    };
+}
+
+// Compares a report with an earlier one (see buildBranchReport). Returns { previousGeneratedAt, added, removed,
+// changed, counts }: branches that are new, branches that no longer exist, branches whose category changed
+// (with their `previousCategory`) and the change of the number of branches per category.
+function compareBranchReports(previous, current) {
+    const previousBranches = new Map(previous.branches.map(entry => [entry.name, entry]));
+    const currentNames = new Set(current.branches.map(entry => entry.name));
+    const changes = { previousGeneratedAt: previous.generatedAt, added: [], removed: [], changed: [], counts: {} };
+    current.branches.forEach(entry => {
+        const before = previousBranches.get(entry.name);
+        if (!before) {
+            changes.added.push(entry);
+        } else if (before.category !== entry.category) {
+            changes.changed.push({ ...entry, previousCategory: before.category });
+        }
+    });
+    changes.removed = previous.branches.filter(entry => !currentNames.has(entry.name));
+    Object.keys(REPORT_CATEGORIES).forEach(category => {
+        const count = branches => branches.filter(entry => entry.category === category).length;
+        changes.counts[category] = count(current.branches) - count(previous.branches);
+    });
+    return changes;
+}
+
+// Reads the report data embedded in a rendered report file, or a report saved with --json. Throws if the file
+// holds no report of this version.
+function readBranchReport(filePath) {
+    if (!fs.existsSync(filePath)) throw new Error(`Report '${filePath}' does not exist`);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const match = content.match(new RegExp(`<!-- ${DATA_MARKER}([A-Za-z0-9+/=]+) -->`));
+    let data = null;
+    try {
+        data = match ? JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) : JSON.parse(content);
+    } catch (error) {
+        data = null;
+    }
+    if (data && data.report) data = data.report; // JSON output of `cleanrepo report --json`
+    if (!data || !Array.isArray(data.branches)) {
+        throw new Error(`'${filePath}' is not a cleanrepo report`);
+    }
+    if (data.version !== REPORT_VERSION) {
+        throw new Error(`'${filePath}' is a report of another cleanrepo version (report format ${data.version}, expected ${REPORT_VERSION})`);
+    }
+    return data;
+}
+
+// Helper function to get the whole days between a branch's last commit and the report date
+function getAgeDays(entry, generatedAt) {
+    return Math.max(0, Math.floor((new Date(generatedAt) - new Date(entry.lastCommitDate)) / (24 * 60 * 60 * 1000)));
+}
+
+// Helper function to format a signed change, e.g. '+2', '-1' or '0'
+function formatChange(change) {
+    return change > 0 ? `+${change}` : String(change);
+}
+
+// Helper function to draw a histogram bar of `count` out of `max`
+function histogramBar(count, max) {
+    const width = 30;
+    return count > 0 ? '█'.repeat(Math.max(1, Math.round((count / max) * width))) : '';
+}
+
+// Helper function to lay out the report as a title, header lines and sections of text and tables, which the
+// Markdown and HTML renderers turn into their format. Cells are plain text; renderers escape them.
+function buildReportDocument(report, { changes = null, diverged = 50, top = 10 } = {}) {
+    const { branches, generatedAt } = report;
+    const categories = Object.keys(REPORT_CATEGORIES);
+    const sets = [{ label: 'Local', type: 'local', remote: null }, ...report.remotes.map(remote => ({ label: remote, type: 'remote', remote }))];
+    const inSet = (entry, set) => entry.type === set.type && entry.remote === set.remote;
+    const categoryLabel = category => REPORT_CATEGORIES[category] || category;
+    const sections = [];
+
+    // Counts per category and branch set
+    const summaryRows = categories.map(category => {
+        const row = [categoryLabel(category), ...sets.map(set => String(branches.filter(entry => entry.category === category && inSet(entry, set)).length))];
+        row.push(String(branches.filter(entry => entry.category === category).length));
+        if (changes) row.push(formatChange(changes.counts[category]));
+        return row;
+    });
+    summaryRows.push(['Total', ...sets.map(set => String(branches.filter(entry => inSet(entry, set)).length)), String(branches.length),
+        ...(changes ? [formatChange(Object.values(changes.counts).reduce((sum, change) => sum + change, 0))] : [])]);
+    sections.push({
+        title: 'Summary',
+        table: {
+            columns: ['Category', ...sets.map(set => set.label), 'Total', ...(changes ? ['Change'] : [])],
+            numeric: [false, ...sets.map(() => true), true, true],
+            rows: summaryRows,
+        },
+    });
+
+    // Age histogram
+    const bucketCounts = AGE_BUCKETS.map(() => 0);
+    branches.forEach(entry => {
+        const age = getAgeDays(entry, generatedAt);
+        bucketCounts[AGE_BUCKETS.findIndex(bucket => age < bucket.days)] += 1;
+    });
+    const maxCount = Math.max(...bucketCounts);
+    sections.push({
+        title: 'Age of last commit',
+        table: {
+            columns: ['Last commit', 'Branches', ''],
+            numeric: [false, true, false],
+            rows: AGE_BUCKETS.map((bucket, index) => [bucket.label, String(bucketCounts[index]), histogramBar(bucketCounts[index], maxCount)]),
+        },
+    });
+
+    // Oldest branches
+    const oldest = [...branches].sort((a, b) => new Date(a.lastCommitDate) - new Date(b.lastCommitDate)).slice(0, top);
+    sections.push({
+        title: 'Oldest branches',
+        table: {
+            columns: ['Branch', 'Last commit', 'Age (days)', 'Owner', 'Category'],
+            numeric: [false, false, true, false, false],
+            rows: oldest.map(entry => [entry.name, entry.lastCommitDate.substring(0, 10), String(getAgeDays(entry, generatedAt)), entry.owner || '', categoryLabel(entry.category)]),
+        },
+    });
+
+    // Branches per author, most branches first
+    const byOwner = new Map();
+    branches.forEach(entry => {
+        const owner = entry.owner || '(unknown)';
+        if (!byOwner.has(owner)) byOwner.set(owner, []);
+        byOwner.get(owner).push(entry);
+    });
+    const cleanupCategories = ['merged', 'closed', 'gone', 'stale'];
+    sections.push({
+        title: 'Branches per author',
+        text: 'Each branch counts for its owner, the most frequent author of its commits that are not in the base.',
+        table: {
+            columns: ['Author', 'Branches', 'Cleanup candidates', 'Oldest last commit'],
+            numeric: [false, true, true, false],
+            rows: [...byOwner].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0])).map(([owner, entries]) => [
+                owner,
+                String(entries.length),
+                String(entries.filter(entry => cleanupCategories.includes(entry.category)).length),
+                entries.reduce((oldestEntry, entry) => (new Date(entry.lastCommitDate) < new Date(oldestEntry.lastCommitDate) ? entry : oldestEntry)).lastCommitDate.substring(0, 10),
+            ]),
+        },
+    });
+
+    // Branches far behind their base
+    const divergedBranches = branches.filter(entry => entry.behind !== null && entry.behind >= diverged).sort((a, b) => b.behind - a.behind);
+    sections.push({
+        title: 'Diverged branches',
+        text: `Branches at least ${diverged} commit(s) behind their base.`,
+        table: {
+            columns: ['Branch', 'Behind', 'Ahead', 'Base', 'Owner', 'Category'],
+            numeric: [false, true, true, false, false, false],
+            rows: divergedBranches.map(entry => [entry.name, String(entry.behind), String(entry.ahead), entry.base || '', entry.owner || '', categoryLabel(entry.category)]),
+        },
+    });
+
+    // Changes since the previous report
+    if (changes) {
+        sections.push({
+            title: 'Changes since the previous report',
+            text: `Compared with the report generated on ${changes.previousGeneratedAt.substring(0, 10)}.`,
+        });
+        sections.push({
+            title: 'New branches',
+            level: 3,
+            table: { columns: ['Branch', 'Category', 'Owner'], rows: changes.added.map(entry => [entry.name, categoryLabel(entry.category), entry.owner || '']) },
+        });
+        sections.push({
+            title: 'Removed branches',
+            level: 3,
+            table: { columns: ['Branch', 'Last category', 'Owner'], rows: changes.removed.map(entry => [entry.name, categoryLabel(entry.category), entry.owner || '']) },
+        });
+        sections.push({
+            title: 'Changed category',
+            level: 3,
+            table: { columns: ['Branch', 'Before', 'Now'], rows: changes.changed.map(entry => [entry.name, categoryLabel(entry.previousCategory), categoryLabel(entry.category)]) },
+        });
+    }
+
+    const header = [
+        `Generated ${generatedAt.substring(0, 16).replace('T', ' ')} UTC.`,
+        `Base branch${report.bases.length > 1 ? 'es' : ''}: ${report.bases.join(', ')}. Remotes: ${report.remotes.length > 0 ? report.remotes.join(', ') : 'none'}.`,
+        ...(report.stale ? [`Stale branches: no activity ${report.stale}.`] : []),
+    ];
+    return { title: `Branch health report: ${report.repository}`, header, sections };
+}
+
+// Helper function to escape text for Markdown, including the pipes that would split table cells
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>|#~])/g, '\\$1');
+}
+
+// Helper function to escape text for HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+// Helper function to render the report document as Markdown
+function renderMarkdown(document) {
+    const lines = [`# ${escapeMarkdown(document.title)}`, '', ...document.header.map(line => `${escapeMarkdown(line)}  `), ''];
+    document.sections.forEach(section => {
+        lines.push(`${'#'.repeat(section.level || 2)} ${escapeMarkdown(section.title)}`, '');
+        if (section.text) lines.push(escapeMarkdown(section.text), '');
+        if (!section.table) return;
+        const { columns, rows, numeric = [] } = section.table;
+        if (rows.length === 0) {
+            lines.push('None.', '');
+            return;
+        }
+        lines.push(`| ${columns.map(escapeMarkdown).join(' | ')} |`);
+        lines.push(`|${columns.map((column, index) => (numeric[index] ? '---:' : '---')).join('|')}|`);
+        rows.forEach(row => lines.push(`| ${row.map(escapeMarkdown).join(' | ')} |`));
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+// Helper function to render the report document as a standalone HTML page
+function renderHtml(document) {
+    const body = [`<h1>${escapeHtml(document.title)}</h1>`, `<p>${document.header.map(escapeHtml).join('<br>\n')}</p>`];
+    document.sections.forEach(section => {
+        const level = section.level || 2;
+        body.push(`<h${level}>${escapeHtml(section.title)}</h${level}>`);
+        if (section.text) body.push(`<p>${escapeHtml(section.text)}</p>`);
+        if (!section.table) return;
+        const { columns, rows, numeric = [] } = section.table;
+        if (rows.length === 0) {
+            body.push('<p>None.</p>');
+            return;
+        }
+        const cell = (tag, value, index) => `<${tag}${numeric[index] ? ' class="num"' : ''}>${escapeHtml(value)}</${tag}>`;
+        body.push('<table>');
+        body.push(`<thead><tr>${columns.map((column, index) => cell('th', column, index)).join('')}</tr></thead>`);
+        body.push('<tbody>');
+        rows.forEach(row => body.push(`<tr>${row.map((value, index) => cell('td', value, index)).join('')}</tr>`));
+        body.push('</tbody>', '</table>');
+    });
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(document.title)}</title>`,
+        '<style>',
+        'body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 60em; padding: 0 1em; color: #1f2328; }',
+        'table { border-collapse: collapse; margin-bottom: 1em; }',
+        'th, td { border: 1px solid #d0d7de; padding: 0.3em 0.7em; text-align: left; }',
+        'th { background: #f6f8fa; }',
+        '.num { text-align: right; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        ...body,
+        '</body>',
+        '</html>',
+    ].join('\n');
+}
+
+// Renders a report (see buildBranchReport) as Markdown or standalone HTML, with the report data embedded so it
+// can be compared against later (see readBranchReport).
+// Options:
+//   format   - 'markdown' (default) or 'html', see REPORT_FORMATS
+//   changes  - the changes since a previous report (see compareBranchReports), shown in their own section
+//   diverged - branches at least this many commits behind their base are listed as diverged (default 50)
+//   top      - how many of the oldest branches are listed (default 10)
+function renderBranchReport(report, { format = 'markdown', changes = null, diverged = 50, top = 10 } = {}) {
+    if (!REPORT_FORMATS[format]) {
+        throw new Error(`Unknown report format '${format}' (expected one of: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    const document = buildReportDocument(report, { changes, diverged, top });
+    const data = `<!-- ${DATA_MARKER}${Buffer.from(JSON.stringify(report), 'utf8').toString('base64')} -->`;
+    return `${format === 'html' ? renderHtml(document) : renderMarkdown(document)}\n${data}\n`;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    REPORT_CATEGORIES,
+    buildBranchReport,
+    compareBranchReports,
+    readBranchReport,
+    renderBranchReport,
+};
@@ -0,0 +1,58 @@
+const { getCommitGraph, walkCommitGraph, getReachableTipHashes } = require('./refs');
+
+// Classifies stale candidates before they are offered for deletion. `tips` maps each candidate's ref to its tip
+// commit hash and `fullBases` is one base ref or a list of them. The candidates are read in a few passes over the
+// history shared by all of them, not one per branch. Returns a map of ref -> { status, commitsNotInBase,
+// uniqueCommits, base } where status is:
+//   contained - every commit is already in the base branches (`base` names the one containing it with several)
+//   pushed    - (local only) every commit not in the bases exists on some remote-tracking ref
+//   unique    - (local only) `uniqueCommits` commits exist on no remote ref and in no base, and would be lost
+//   unmerged  - (remote only) `commitsNotInBase` commits are not reachable from the remote's base
+function classifyStaleBranches(cwd, tips, fullBases, remote = null) {
+    const bases = [].concat(fullBases);
+    const classifications = new Map();
+    if (tips.size === 0) return classifications;
+    const graph = getCommitGraph(cwd, [...tips.keys()], bases);
+    // Commits that exist on no remote (local branches only). Commits of the bases that were not pushed yet are
+    // not lost with the branch, so they are not counted.
+    const uncontainedRefs = [...tips.keys()].filter(ref => graph.has(tips.get(ref)));
+    const unpushed = remote || uncontainedRefs.length === 0 ? null : getCommitGraph(cwd, uncontainedRefs, [...bases, '--remotes']);
+    const reachableByBase = bases.length > 1 ? bases.map(base => [base, getReachableTipHashes(cwd, base)]) : [];
+
+    tips.forEach((sha, ref) => {
+        const { commits } = walkCommitGraph(graph, sha);
+        const commitsNotInBase = commits.length;
+        if (commitsNotInBase === 0) {
+            const containingBase = reachableByBase.find(([, reachable]) => reachable.has(sha));
+            classifications.set(ref, { status: 'contained', commitsNotInBase, uniqueCommits: 0, base: containingBase ? containingBase[0] : null });
+        } else if (remote) {
+            classifications.set(ref, { status: 'unmerged', commitsNotInBase, uniqueCommits: null });
+        } else {
+            const uniqueCommits = commits.filter(hash => unpushed.has(hash)).length;
+            classifications.set(ref, { status: uniqueCommits === 0 ? 'pushed' : 'unique', commitsNotInBase, uniqueCommits });
+        }
+    });
+    return classifications;
+}
+
+// Helper function to describe a safety classification for display
+function describeSafety(safety, fullBase) {
+    if (!safety) return '';
+    switch (safety.status) {
+        case 'contained':
+            return `fully contained in '${safety.base || fullBase}'`;
+        case 'pushed':
+            return 'pushed to a remote';
+        case 'unique':
+            return safety.uniqueCommits === null
+                ? 'has commits on no remote'
+                : `${safety.uniqueCommits} commit(s) exist on no remote`;
+        default:
+            return `${safety.commitsNotInBase} commit(s) not in '${fullBase}'`;
+    }
+}
+
+module.exports = {
+    classifyStaleBranches,
+    describeSafety,
+};
@@ -0,0 +1,285 @@
+const { runGit, assertValidRefName, listRemotes } = require('./git');
+const { getProtectionReason } = require('./filters');
+const { getErrorDetail, deleteRemoteRefs } = require('./delete');
+const { recordDeletion } = require('./journal');
+const { ARCHIVE_REF_PREFIX, ARCHIVE_TAG_PREFIX, isArchiveTag } = require('./archive');
+
+// Fields read per tag by getTagRefs, in output order. %(creatordate) is the tagger date of annotated tags and
+// the commit date of lightweight ones; the tagger falls back to the commit author the same way.
+const TAG_REF_FORMAT = [
+    '%(refname)',
+    '%(objectname)',
+    '%(objecttype)',
+    '%(*objectname)',
+    '%(creatordate:unix)',
+    '%(creatordate:iso-strict)',
+    '%(if)%(taggername)%(then)%(taggername) %(taggeremail)%(else)%(authorname) %(authoremail)%(end)',
+].join('%00');
+
+// Tag categories in the order they are checked (a tag is offered in the first one it falls into), with their labels
+const TAG_CATEGORY_LABELS = {
+    unpushed: 'local-only',
+    orphaned: 'orphaned',
+    stale: 'stale',
+};
+
+// Gathers the metadata of every local tag in a single `git for-each-ref` pass.
+// Returns a map of tag name to { sha, annotated, commit, timestamp, date, tagger }: the tag's object ID (the tag
+// object for annotated tags), the commit it points to, its creation timestamp (Unix seconds) and date (ISO) and
+// the tagger ("Name <email>", the commit author for lightweight tags).
+function getTagRefs(cwd) {
+    const tagMap = new Map();
+    const output = runGit(['for-each-ref', `--format=${TAG_REF_FORMAT}`, 'refs/tags/'], { cwd, ignoreError: true });
+    if (output === '') return tagMap;
+
+    output.split('\n').forEach(line => {
+        const [refName, sha, objectType, peeledSha, timestamp, date, tagger] = line.trim().split('\0');
+        if (!refName || !sha || !refName.startsWith('refs/tags/')) return;
+        tagMap.set(refName.substring('refs/tags/'.length), {
+            sha,
+            annotated: objectType === 'tag',
+            commit: peeledSha || sha,
+            timestamp: parseInt(timestamp, 10),
+            date,
+            tagger,
+        });
+    });
+    return tagMap;
+}
+
+// Helper function to list the tags on a remote (`git ls-remote`); returns a map of tag name to object ID.
+// Throws if the remote cannot be reached.
+function getRemoteTags(cwd, remote) {
+    const remoteTags = new Map();
+    const output = runGit(['ls-remote', '--tags', '--refs', '--', remote], { cwd });
+    output.split('\n').filter(Boolean).forEach(line => {
+        const [sha, refName] = line.split('\t');
+        if (refName && refName.startsWith('refs/tags/')) remoteTags.set(refName.substring('refs/tags/'.length), sha);
+    });
+    return remoteTags;
+}
+
+// Helper function to find the tags whose commit is not reachable from any local or remote-tracking branch.
+// Archived branches (see lib/archive.js) count as branches, so tags on archived work are not orphaned.
+function getOrphanedTags(cwd) {
+    const tipRefs = ['refs/heads/', 'refs/remotes/', ARCHIVE_REF_PREFIX, `refs/tags/${ARCHIVE_TAG_PREFIX}`];
+    const tips = runGit(['for-each-ref', '--format=%(if)%(*objectname)%(then)%(*objectname)%(else)%(objectname)%(end)', ...tipRefs], { cwd, ignoreError: true })
+        .split('\n')
+        .filter(Boolean);
+    // Without any branch there is nothing to be orphaned from
+    if (tips.length === 0) return new Set();
+    // Repeated --no-merged options keep only the refs reachable from none of the tips
+    const noMergedArgs = [...new Set(tips)].flatMap(tip => ['--no-merged', tip]);
+    const output = runGit(['for-each-ref', '--format=%(refname)', ...noMergedArgs, 'refs/tags/'], { cwd, ignoreError: true });
+    return new Set(output.split('\n').filter(Boolean).map(refName => refName.substring('refs/tags/'.length)));
+}
+
+// Helper function to build a tag candidate entry from a tag and its metadata (see getTagRefs)
+function createTagCandidate(tag, type, remote, category, reason, details) {
+    return {
+        kind: 'tag',
+        tag,
+        type,
+        remote,
+        category,
+        reason,
+        sha: details.sha,
+        commit: details.commit,
+        annotated: details.annotated,
+        tagDate: details.date,
+        tagger: details.tagger,
+    };
+}
+
+// Analyses the repository's tags and returns the categorised deletion candidates.
+// Options:
+//   cwd       - repository working directory (defaults to process.cwd())
+//   remote    - remote name or list of remote names: local tags missing from all of them are local-only, and
+//               their tags are analysed as well (default: local tags only, no local-only check)
+//   unpushed  - flag local tags that exist on none of the remotes as local-only (default true)
+//   orphaned  - flag tags whose commit is not reachable from any local or remote-tracking branch (default true)
+//   staleDays - flag tags created this many days ago or earlier as stale (default: stale check off)
+//   staleBefore - flag tags created before this date (Date or date string) as stale instead
+//   protect   - glob patterns of tags that are never candidates
+//   include   - if non-empty, only tags matching one of these glob patterns are candidates
+// Returns { local: { unpushed, orphaned, stale, protected }, remotes: { [name]: { orphaned, stale, protected } },
+// warnings }. Every candidate is { kind: 'tag', tag, type, remote, category, reason, sha, commit, annotated,
+// tagDate, tagger }. A tag is offered in the first category it falls into (local-only, orphaned, stale). Remote tags
+// are only judged when the same tag exists locally (fetch tags first to check the others). Archive tags
+// (archive/*, see archiveBranches) are never candidates.
+async function analyzeTags({
+    cwd = process.cwd(),
+    remote = null,
+    unpushed = true,
+    orphaned = true,
+    staleDays = null,
+    staleBefore = null,
+    protect = [],
+    include = [],
+} = {}) {
+    let stale = null;
+    if (staleBefore !== null && staleBefore !== undefined) {
+        const cutoffDate = new Date(staleBefore);
+        if (isNaN(cutoffDate.getTime())) throw new Error(`Invalid staleBefore date '${staleBefore}'`);
+        stale = { threshold: cutoffDate.getTime() / 1000, cutoff: `before ${cutoffDate.toISOString().substring(0, 10)}` };
+    } else if (staleDays !== null && staleDays !== undefined) {
+        stale = { threshold: (Date.now() / 1000) - (staleDays * 24 * 60 * 60), cutoff: `>= ${staleDays} days ago` }; // In seconds
+    }
+    const warnings = [];
+    const requestedRemotes = remote ? [...new Set([].concat(remote))] : [];
+    const configuredRemotes = listRemotes(cwd);
+    const unknownRemotes = requestedRemotes.filter(r => !configuredRemotes.includes(r));
+    if (unknownRemotes.length > 0) {
+        warnings.push(`Skipping unknown remote(s): ${unknownRemotes.join(', ')}`);
+    }
+
+    const remoteTagsByName = new Map();
+    requestedRemotes.filter(r => configuredRemotes.includes(r)).forEach(remoteName => {
+        try {
+            remoteTagsByName.set(remoteName, getRemoteTags(cwd, remoteName));
+        } catch (error) {
+            warnings.push(`Could not list the tags on '${remoteName}', skipping it: ${getErrorDetail(error)}`);
+        }
+    });
+
+    const tagRefs = getTagRefs(cwd);
+    const orphanedTags = orphaned ? getOrphanedTags(cwd) : new Set();
+    const remoteList = [...remoteTagsByName.keys()].map(r => `'${r}'`).join(', ');
+
+    // Helper to find the first category a tag falls into and why; null if it is not a candidate
+    const categorize = (tag, details, checkUnpushed) => {
+        if (checkUnpushed && ![...remoteTagsByName.values()].some(remoteTags => remoteTags.has(tag))) {
+            return { category: 'unpushed', reason: `local-only (not on ${remoteList})` };
+        }
+        if (orphanedTags.has(tag)) {
+            return { category: 'orphaned', reason: 'orphaned (not reachable from any branch)' };
+        }
+        if (stale && details.timestamp <= stale.threshold) {
+            return { category: 'stale', reason: `stale (tagged ${stale.cutoff})` };
+        }
+        return null;
+    };
+
+    // Helper to sort a tag into its category set, or its protected list when a pattern protects it
+    const addTag = (result, tag, type, remoteName, details, checkUnpushed) => {
+        const match = categorize(tag, details, checkUnpushed);
+        if (!match) return;
+        const protectionReason = getProtectionReason(tag, { protect, include });
+        if (protectionReason) {
+            result.protected.push({ tag, type, remote: remoteName, category: match.category, reason: protectionReason });
+            return;
+        }
+        result[match.category].push(createTagCandidate(tag, type, remoteName, match.category, match.reason, details));
+    };
+
+    const local = { unpushed: [], orphaned: [], stale: [], protected: [] };
+    const checkUnpushed = unpushed && remoteTagsByName.size > 0;
+    tagRefs.forEach((details, tag) => {
+        if (!isArchiveTag(tag)) addTag(local, tag, 'local', null, details, checkUnpushed);
+    });
+
+    const remotes = {};
+    remoteTagsByName.forEach((remoteTags, remoteName) => {
+        const result = { orphaned: [], stale: [], protected: [] };
+        let notLocal = 0;
+        remoteTags.forEach((sha, tag) => {
+            if (isArchiveTag(tag)) return;
+            const details = tagRefs.get(tag);
+            if (!details) {
+                notLocal++;
+            } else if (details.sha !== sha) {
+                warnings.push(`Tag '${tag}' on '${remoteName}' differs from the local tag, skipping it on '${remoteName}'.`);
+            } else {
+                addTag(result, tag, 'remote', remoteName, details, false);
+            }
+        });
+        if (notLocal > 0) {
+            warnings.push(`${notLocal} tag(s) on '${remoteName}' do not exist locally and were not checked (fetch them with 'git fetch --tags ${remoteName}').`);
+        }
+        remotes[remoteName] = result;
+    });
+
+    return { local, remotes, warnings };
+}
+
+// Deletes the given tag candidates (as returned by analyzeTags) and returns one result per candidate, in
+// order: { tag, type, remote, category, sha, deleted, error, journaled }. Local tags are deleted with
+// `git update-ref -d` guarded by the analysed object ID; remote tags in a few multi-ref pushes per remote.
+// Options:
+//   cwd     - repository working directory (defaults to process.cwd())
+//   journal - record successful deletions in the undo journal (default true)
+//   session - journal session ID shared by related deletions (default: the current time)
+async function deleteTags(candidates, {
+    cwd = process.cwd(),
+    journal = true,
+    session = new Date().toISOString(),
+} = {}) {
+    const invalid = new Map();
+    const byRemote = new Map();
+    candidates.forEach(candidate => {
+        try {
+            assertValidRefName(candidate.tag, 'tag');
+            if (candidate.type === 'remote') assertValidRefName(candidate.remote, 'remote');
+        } catch (error) {
+            invalid.set(candidate, error.message);
+            return;
+        }
+        if (candidate.type !== 'remote') return;
+        if (!byRemote.has(candidate.remote)) byRemote.set(candidate.remote, []);
+        byRemote.get(candidate.remote).push(candidate);
+    });
+    const remoteOutcomes = new Map();
+    byRemote.forEach((remoteCandidates, remoteName) => {
+        const errors = deleteRemoteRefs(cwd, remoteName, remoteCandidates.map(candidate => candidate.tag), 'refs/tags/');
+        remoteCandidates.forEach(candidate => remoteOutcomes.set(candidate, errors.get(candidate.tag)));
+    });
+
+    return candidates.map(candidate => {
+        const result = {
+            tag: candidate.tag,
+            type: candidate.type,
+            remote: candidate.remote || null,
+            category: candidate.category,
+            sha: candidate.sha,
+            deleted: false,
+            error: null,
+            journaled: false,
+        };
+        if (invalid.has(candidate)) {
+            result.error = invalid.get(candidate);
+        } else if (candidate.type === 'remote') {
+            result.error = remoteOutcomes.get(candidate);
+            result.deleted = result.error === null;
+        } else {
+            try {
+                runGit(['update-ref', '-d', `refs/tags/${candidate.tag}`, candidate.sha], { cwd });
+                result.deleted = true;
+            } catch (error) {
+                result.error = getErrorDetail(error);
+            }
+        }
+
+        if (result.deleted && journal) {
+            try {
+                recordDeletion(cwd, session, {
+                    tag: candidate.tag,
+                    type: candidate.type,
+                    remote: candidate.remote || null,
+                    sha: candidate.sha,
+                    reason: candidate.reason,
+                });
+                result.journaled = true;
+            } catch (error) {
+                result.journalError = error.message;
+            }
+        }
+        return result;
+    });
+}
+
+module.exports = {
+    TAG_CATEGORY_LABELS,
+    getTagRefs,
+    analyzeTags,
+    deleteTags,
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+// Directories never searched for repositories: dependency trees are large and hold no clones of their own
+const ALWAYS_SKIPPED_DIRS = ['node_modules'];
+
+// Helper function to check whether a directory is the working tree of a repository. `.git` is a directory in
+// ordinary clones and a file in linked worktrees and submodules.
+function isRepository(dir) {
+    return fs.existsSync(path.join(dir, '.git'));
+}
+
+// Helper function to check a directory against the exclude patterns, matched (like .gitignore) against both
+// its path relative to the workspace root and its name
+function isExcluded(relativePath, name, exclude) {
+    const posixPath = relativePath.split(path.sep).join('/');
+    return exclude.some(pattern => minimatch(posixPath, pattern, { dot: true }) || minimatch(name, pattern, { dot: true }));
+}
+
+// Finds the git repositories under a workspace directory (e.g. ~/src) and returns their absolute paths, sorted.
+// Repositories are not searched for nested repositories, hidden directories, `node_modules` and symbolic links
+// are never followed, and directories that cannot be read are skipped.
+// Options:
+//   depth   - how many directory levels below `root` to search (default 3; 1 finds only direct children)
+//   exclude - glob patterns of directories to skip, matched against the path relative to `root` and the name
+function findRepositories(root, { depth = 3, exclude = [] } = {}) {
+    const rootDir = path.resolve(root);
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+        throw new Error(`Workspace '${root}' is not a directory`);
+    }
+    if (isRepository(rootDir)) return [rootDir];
+
+    const repositories = [];
+    const search = (dir, level) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return; // Unreadable directory (e.g. permissions)
+        }
+        entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !ALWAYS_SKIPPED_DIRS.includes(entry.name))
+            .forEach(entry => {
+                const entryPath = path.join(dir, entry.name);
+                if (isExcluded(path.relative(rootDir, entryPath), entry.name, exclude)) return;
+                if (isRepository(entryPath)) {
+                    repositories.push(entryPath);
+                } else if (level < depth) {
+                    search(entryPath, level + 1);
+                }
+            });
+    };
+    search(rootDir, 1);
+    return repositories.sort();
+}
+
+module.exports = {
+    findRepositories,
+};
@@ -0,0 +1,79 @@
+const path = require('path');
+const { runGit } = require('./git');
+const { getErrorDetail } = require('./delete');
+
+// Parses `git worktree list --porcelain` into
+// [{ path, head, branch, bare, detached, locked, prunable }], main worktree first.
+// `branch` is the short branch name (null when detached); `prunable` holds git's reason or null.
+function listWorktrees(cwd) {
+    const output = runGit(['worktree', 'list', '--porcelain'], { cwd, ignoreError: true });
+    const worktrees = [];
+    let current = null;
+    output.split('\n').forEach(line => {
+        if (line.startsWith('worktree ')) {
+            current = { path: line.substring('worktree '.length), head: null, branch: null, bare: false, detached: false, locked: false, prunable: null };
+            worktrees.push(current);
+            return;
+        }
+        if (!current) return;
+        const [key, ...rest] = line.split(' ');
+        const value = rest.join(' ');
+        if (key === 'HEAD') current.head = value;
+        if (key === 'branch') current.branch = value.replace(/^refs\/heads\//, '');
+        if (key === 'bare') current.bare = true;
+        if (key === 'detached') current.detached = true;
+        if (key === 'locked') current.locked = true;
+        if (key === 'prunable') current.prunable = value || 'gitdir file points to non-existent location';
+    });
+    return worktrees;
+}
+
+// Helper function to map each checked-out branch to the path of the worktree it is checked out in
+function getCheckedOutBranches(worktrees) {
+    const checkedOut = new Map();
+    worktrees.forEach(worktree => {
+        if (worktree.branch) checkedOut.set(worktree.branch, worktree.path);
+    });
+    return checkedOut;
+}
+
+// Helper function to check whether a worktree has no modified, staged or untracked files
+function isWorktreeClean(worktreePath) {
+    try {
+        return runGit(['status', '--porcelain'], { cwd: worktreePath }) === '';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to check whether two paths point to the same directory
+function isSamePath(a, b) {
+    return path.resolve(a) === path.resolve(b);
+}
+
+// Removes the worktrees at the given paths (`git worktree remove`, which refuses dirty worktrees).
+// Returns one { path, removed, error } result per path.
+async function removeWorktrees(worktreePaths, { cwd = process.cwd() } = {}) {
+    return worktreePaths.map(worktreePath => {
+        try {
+            runGit(['worktree', 'remove', '--', worktreePath], { cwd });
+            return { path: worktreePath, removed: true, error: null };
+        } catch (error) {
+            return { path: worktreePath, removed: false, error: getErrorDetail(error) };
+        }
+    });
+}
+
+// Prunes administrative data of worktrees whose directories no longer exist (`git worktree prune`)
+async function pruneWorktrees({ cwd = process.cwd() } = {}) {
+    runGit(['worktree', 'prune'], { cwd });
+}
+
+module.exports = {
+    listWorktrees,
+    getCheckedOutBranches,
+    isWorktreeClean,
+    isSamePath,
+    removeWorktrees,
+    pruneWorktrees,
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { analyzeBranches, deleteBranches } = require('..');
+
+// Branch names git accepts but a shell would interpret; each would create the file `pwned` if it reached one
+const HOSTILE_BRANCHES = [
+    'semi;touch${IFS}pwned',
+    'dollar$(touch${IFS}pwned)',
+    'back`touch${IFS}pwned`',
+    'pipe|touch${IFS}pwned&&true',
+];
+// git refuses to create this one with `git branch`, but a ref file can still carry it
+const OPTION_BRANCH = '--force';
+
+// Helper function to run git in the fixture repository, without a shell
+function git(cwd, args) {
+    return execFileSync('git', args, { cwd, stdio: 'pipe' }).toString().trim();
+}
+
+// Helper function to build a repository with a bare 'origin' and the hostile branches on both,
+// every one of them merged into main (by fast-forward, or by cherry-pick for the last one)
+function createFixture() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanrepo-hostile-'));
+    const origin = path.join(root, 'origin.git');
+    const cwd = path.join(root, 'repo');
+    execFileSync('git', ['init', '--bare', '-q', origin]);
+    execFileSync('git', ['init', '-q', '-b', 'main', cwd]);
+    git(cwd, ['config', 'user.name', 'Test']);
+    git(cwd, ['config', 'user.email', 'test@example.com']);
+    git(cwd, ['remote', 'add', 'origin', origin]);
+
+    fs.writeFileSync(path.join(cwd, 'file.txt'), 'one\n');
+    git(cwd, ['add', 'file.txt']);
+    git(cwd, ['commit', '-q', '-m', 'one']);
+    HOSTILE_BRANCHES.slice(0, -1).forEach(branch => git(cwd, ['branch', '--', branch]));
+    git(cwd, ['update-ref', `refs/heads/${OPTION_BRANCH}`, 'HEAD']);
+
+    // The last branch gets its own commit, which main picks up as a copy (merged by rebase/cherry-pick)
+    const picked = HOSTILE_BRANCHES[HOSTILE_BRANCHES.length - 1];
+    git(cwd, ['checkout', '-q', '-b', picked]);
+    fs.writeFileSync(path.join(cwd, 'picked.txt'), 'picked\n');
+    git(cwd, ['add', 'picked.txt']);
+    git(cwd, ['commit', '-q', '-m', 'picked']);
+    git(cwd, ['checkout', '-q', 'main']);
+    fs.writeFileSync(path.join(cwd, 'file.txt'), 'two\n');
+    git(cwd, ['commit', '-q', '-a', '-m', 'two']);
+    git(cwd, ['cherry-pick', picked]);
+
+    git(cwd, ['push', '-q', 'origin', 'main', ...[...HOSTILE_BRANCHES, OPTION_BRANCH].map(branch => `refs/heads/${branch}:refs/heads/${branch}`)]);
+    return { root, cwd, origin };
+}
+
+test('branches with shell metacharacters are listed and deleted without reaching a shell', async (t) => {
+    const { root, cwd, origin } = createFixture();
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const analysis = await analyzeBranches({ cwd, base: 'main', remote: 'origin' });
+    const localMerged = analysis.local.merged.map(candidate => candidate.branch).sort();
+    const remoteMerged = analysis.remotes.origin.merged.map(candidate => candidate.branch).sort();
+    assert.deepStrictEqual(localMerged, [...HOSTILE_BRANCHES, OPTION_BRANCH].sort());
+    assert.deepStrictEqual(remoteMerged, [...HOSTILE_BRANCHES, OPTION_BRANCH].sort());
+    const picked = analysis.local.merged.find(candidate => candidate.branch === HOSTILE_BRANCHES[HOSTILE_BRANCHES.length - 1]);
+    assert.strictEqual(picked.strategy, 'rebase');
+
+    const candidates = [...analysis.local.merged, ...analysis.remotes.origin.merged];
+    const results = await deleteBranches(candidates, { cwd, journal: false });
+    results.forEach(result => {
+        if (result.branch === OPTION_BRANCH) {
+            // A name starting with '-' would be parsed as an option, so it is refused rather than deleted
+            assert.strictEqual(result.deleted, false);
+            assert.match(result.error, /Invalid branch name/);
+        } else {
+            assert.strictEqual(result.deleted, true, `${result.type} ${result.branch}: ${result.error}`);
+        }
+    });
+
+    assert.deepStrictEqual(git(cwd, ['for-each-ref', '--format=%(refname)', 'refs/heads/']).split('\n').sort(),
+        [`refs/heads/${OPTION_BRANCH}`, 'refs/heads/main'].sort());
+    assert.deepStrictEqual(git(origin, ['for-each-ref', '--format=%(refname)', 'refs/heads/']).split('\n').sort(),
+        [`refs/heads/${OPTION_BRANCH}`, 'refs/heads/main'].sort());
+    assert.strictEqual(fs.existsSync(path.join(cwd, 'pwned')), false);
+    assert.strictEqual(fs.existsSync(path.join(root, 'pwned')), false);
+    assert.strictEqual(fs.existsSync(path.join(process.cwd(), 'pwned')), false);
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createHostingClient, getPullRequestStatuses } = require('../lib/hosting');
+
+// Helper function to start a mock API answering the paths in `routes` (path with query -> JSON body, or
+// { status, body }) and 404 otherwise. Every request is recorded as { url, headers }.
+async function startServer(t, routes) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ url: request.url, headers: request.headers });
+        const route = routes[request.url];
+        const { status, body } = route && route.status ? route : { status: route ? 200 : 404, body: route || { message: 'Not Found' } };
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+// Helper function to create an empty repository whose 'origin' points at a hosted project
+function createRepo(t) {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanrepo-hosting-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    execFileSync('git', ['init', '-q', cwd]);
+    execFileSync('git', ['remote', 'add', 'origin', 'https://git.example.com/owner/repo.git'], { cwd });
+    return cwd;
+}
+
+// Helper function to build a GitHub pull request opened from `branch` of owner/repo (or of a fork)
+function githubPull(number, branch, state, mergedAt = null, headRepo = 'owner/repo') {
+    return {
+        number,
+        state,
+        merged_at: mergedAt,
+        head: { ref: branch, sha: `sha-${number}`, repo: { full_name: headRepo } },
+        base: { ref: 'main', repo: { full_name: 'owner/repo' } },
+        html_url: `https://git.example.com/owner/repo/pull/${number}`,
+        title: `Pull request ${number}`,
+        updated_at: `2024-01-${String(number % 28 + 1).padStart(2, '0')}T00:00:00Z`,
+    };
+}
+
+// Helper function to keep the fields compared in the assertions
+function summarize(statuses) {
+    return Object.fromEntries([...statuses].map(([branch, pullRequest]) => [branch, `#${pullRequest.number} ${pullRequest.state} ${pullRequest.headSha}`]));
+}
+
+test('GitHub pull requests are listed page by page and mapped by head branch', async (t) => {
+    const cwd = createRepo(t);
+    const filler = Array.from({ length: 100 }, (_, index) => githubPull(1000 + index, `other-${index}`, 'closed'));
+    const { baseUrl, requests } = await startServer(t, {
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=1': filler,
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=2': [
+            githubPull(1, 'merged', 'closed', '2024-01-02T00:00:00Z'),
+            githubPull(2, 'closed', 'closed'),
+            githubPull(3, 'open', 'open'),
+            githubPull(4, 'closed', 'closed', '2024-01-01T00:00:00Z'),
+            githubPull(5, 'merged', 'open', null, 'someone/fork'),
+        ],
+    });
+    const client = createHostingClient(cwd, { provider: 'github', baseUrl, cacheTtl: 0 });
+    const branches = new Map([['merged', 'merged'], ['closed', 'closed'], ['local-open', 'open'], ['none', 'none']]);
+
+    const { statuses, error } = await getPullRequestStatuses(client, branches);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(summarize(statuses), {
+        merged: '#1 merged sha-1',
+        closed: '#4 merged sha-4', // The most recently updated of #2 and #4
+        'local-open': '#3 open sha-3',
+    });
+    assert.deepStrictEqual([...statuses.keys()], ['merged', 'closed', 'local-open']);
+    assert.deepStrictEqual(requests.map(request => request.url), [
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=1',
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=2',
+    ]);
+
+    // The list is kept by the client, even without a disk cache
+    await getPullRequestStatuses(client, new Map([['open', 'open']]));
+    assert.strictEqual(requests.length, 2);
+});
+
+test('GitHub branches are looked up one by one when listing would take more requests', async (t) => {
+    const cwd = createRepo(t);
+    const filler = Array.from({ length: 100 }, (_, index) => githubPull(1000 + index, `other-${index}`, 'closed'));
+    const { baseUrl, requests } = await startServer(t, {
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=1': filler,
+        '/repos/owner/repo/pulls?state=all&head=owner%3Afeature&per_page=100': [githubPull(7, 'feature', 'closed', '2024-01-02T00:00:00Z')],
+    });
+    const client = createHostingClient(cwd, { provider: 'github', baseUrl, cacheTtl: 0 });
+
+    const { statuses, error } = await getPullRequestStatuses(client, new Map([['feature', 'feature']]));
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(summarize(statuses), { feature: '#7 merged sha-7' });
+    assert.deepStrictEqual(requests.map(request => request.url), [
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=1',
+        '/repos/owner/repo/pulls?state=all&head=owner%3Afeature&per_page=100',
+    ]);
+});
+
+test('GitLab merge request states are mapped, with locked ones still open', async (t) => {
+    const cwd = createRepo(t);
+    const request = (iid, branch, state, sourceProjectId = 1) => ({
+        iid,
+        state,
+        source_branch: branch,
+        source_project_id: sourceProjectId,
+        project_id: 1,
+        sha: `sha-${iid}`,
+        web_url: `https://git.example.com/owner/repo/-/merge_requests/${iid}`,
+        title: `Merge request ${iid}`,
+        updated_at: '2024-01-01T00:00:00Z',
+    });
+    const { baseUrl } = await startServer(t, {
+        '/projects/owner%2Frepo/merge_requests?state=all&per_page=100&page=1': [
+            request(1, 'opened', 'opened'),
+            request(2, 'locked', 'locked'),
+            request(3, 'merged', 'merged'),
+            request(4, 'closed', 'closed'),
+            request(5, 'closed', 'opened', 2),
+        ],
+    });
+    const client = createHostingClient(cwd, { provider: 'gitlab', baseUrl, cacheTtl: 0 });
+    const branches = new Map(['opened', 'locked', 'merged', 'closed'].map(branch => [branch, branch]));
+
+    const { statuses, error } = await getPullRequestStatuses(client, branches);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(summarize(statuses), {
+        opened: '#1 open sha-1',
+        locked: '#2 open sha-2',
+        merged: '#3 merged sha-3',
+        closed: '#4 closed sha-4',
+    });
+});
+
+test('Gitea pull requests are listed once per client and filtered per branch', async (t) => {
+    const cwd = createRepo(t);
+    const pull = (number, branch, state, merged) => ({
+        number,
+        state,
+        merged,
+        head: { ref: branch, sha: `sha-${number}` },
+        html_url: `https://git.example.com/owner/repo/pulls/${number}`,
+        title: `Pull request ${number}`,
+        updated_at: '2024-01-01T00:00:00Z',
+    });
+    const filler = Array.from({ length: 50 }, (_, index) => pull(1000 + index, `other-${index}`, 'closed', false));
+    const { baseUrl, requests } = await startServer(t, {
+        '/repos/owner/repo/pulls?state=all&limit=50&page=1': filler,
+        '/repos/owner/repo/pulls?state=all&limit=50&page=2': [pull(1, 'merged', 'closed', true), pull(2, 'closed', 'closed', false), pull(3, 'open', 'open', false)],
+    });
+    const client = createHostingClient(cwd, { provider: 'gitea', baseUrl, cacheTtl: 0 });
+
+    // A single branch still lists every page, as Gitea cannot look up one branch
+    const first = await getPullRequestStatuses(client, new Map([['merged', 'merged']]));
+    const second = await getPullRequestStatuses(client, new Map([['closed', 'closed'], ['open', 'open']]));
+    assert.deepStrictEqual(summarize(first.statuses), { merged: '#1 merged sha-1' });
+    assert.deepStrictEqual(summarize(second.statuses), { closed: '#2 closed sha-2', open: '#3 open sha-3' });
+    assert.strictEqual(requests.length, 2);
+});
+
+test('failed requests become an error, with a hint when no token is set', async (t) => {
+    const cwd = createRepo(t);
+    const { baseUrl, requests } = await startServer(t, {
+        '/repos/owner/repo/pulls?state=all&per_page=100&page=1': { status: 403, body: { message: 'API rate limit exceeded' } },
+    });
+    const branches = new Map([['feature', 'feature']]);
+
+    delete process.env.CLEANREPO_TEST_TOKEN;
+    const client = createHostingClient(cwd, { provider: 'github', baseUrl, cacheTtl: 0, tokenEnv: 'CLEANREPO_TEST_TOKEN' });
+    const { statuses, error } = await getPullRequestStatuses(client, branches);
+    assert.strictEqual(statuses.size, 0);
+    assert.match(error, /^GitHub API request failed: 403 Forbidden for http:\/\/127\.0\.0\.1:\d+\/repos\/owner\/repo\/pulls\?state=all&per_page=100&page=1 \(no token found; set CLEANREPO_TEST_TOKEN\)$/);
+    assert.strictEqual(requests[0].headers.authorization, undefined);
+
+    process.env.CLEANREPO_TEST_TOKEN = 'secret';
+    t.after(() => delete process.env.CLEANREPO_TEST_TOKEN);
+    const tokenClient = createHostingClient(cwd, { provider: 'github', baseUrl, cacheTtl: 0, tokenEnv: 'CLEANREPO_TEST_TOKEN' });
+    const withToken = await getPullRequestStatuses(tokenClient, branches);
+    assert.match(withToken.error, /403 Forbidden/);
+    assert.doesNotMatch(withToken.error, /no token found/);
+    assert.strictEqual(requests[1].headers.authorization, 'Bearer secret');
+});
+
+test('responses are cached on disk for cacheTtl seconds', async (t) => {
+    const cwd = createRepo(t);
+    const pageUrl = '/repos/owner/repo/pulls?state=all&per_page=100&page=1';
+    const { baseUrl, requests } = await startServer(t, { [pageUrl]: [githubPull(1, 'feature', 'open')] });
+    const branches = new Map([['feature', 'feature']]);
+    const cachePath = path.join(cwd, '.git', 'cleanrepo', 'pull-requests.json');
+    const lookUp = async (cacheTtl) => {
+        const { statuses, error } = await getPullRequestStatuses(createHostingClient(cwd, { provider: 'github', baseUrl, cacheTtl }), branches);
+        assert.strictEqual(error, null);
+        assert.deepStrictEqual(summarize(statuses), { feature: '#1 open sha-1' });
+    };
+
+    await lookUp(600);
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(cachePath, 'utf8'))), [`${baseUrl}${pageUrl}`]);
+
+    // A new client answers from the disk cache while the entry is fresh
+    await lookUp(600);
+    assert.strictEqual(requests.length, 1);
+
+    // Entries older than the TTL are requested again
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    cache[`${baseUrl}${pageUrl}`].fetchedAt -= 601 * 1000;
+    fs.writeFileSync(cachePath, JSON.stringify(cache), 'utf8');
+    await lookUp(600);
+    assert.strictEqual(requests.length, 2);
+
+    // A TTL of 0 neither reads nor writes the cache
+    fs.rmSync(cachePath);
+    await lookUp(0);
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(fs.existsSync(cachePath), false);
+});